@@ -9,6 +9,13 @@
 const fs = require('fs');
 const path = require('path');
 
+// Load the TypeScript validator so this script applies exactly the same rules
+require('ts-node/register/transpile-only');
+const {
+  validateVideoConfigs,
+  formatValidationIssue,
+} = require('../src/services/validator');
+
 // Check if videos.json path is provided
 const videosPath =
   process.argv[2] || path.join(process.cwd(), 'data', 'videos.json');
@@ -39,88 +46,19 @@ try {
 
   console.log(`Found ${videosData.length} videos in configuration file`);
 
-  // Debug check 1: Missing required properties
-  const missingProperties = [];
-
-  videosData.forEach((video, index) => {
-    if (!video.id)
-      missingProperties.push(
-        `Video at index ${index} is missing 'id' property`
-      );
-    if (!video.url)
-      missingProperties.push(
-        `Video with id '${video.id || index}' is missing 'url' property`
-      );
-
-    // Check segments structure
-    if (
-      video.segments !== 'auto' &&
-      (!Array.isArray(video.segments) || video.segments.length === 0)
-    ) {
-      missingProperties.push(
-        `Video with id '${
-          video.id || index
-        }' has invalid 'segments' property (should be 'auto' or non-empty array)`
-      );
-    }
+  // Debug check 1: Schema validation (shared with `validate` and the main pipeline)
+  console.log('\nValidating entries against the VideoConfig schema...');
 
-    // Check each segment for required properties
-    if (Array.isArray(video.segments)) {
-      video.segments.forEach((segment, segIndex) => {
-        if (!segment.name)
-          missingProperties.push(
-            `Video with id '${
-              video.id || index
-            }' - segment at index ${segIndex} is missing 'name' property`
-          );
-        if (!segment.start)
-          missingProperties.push(
-            `Video with id '${
-              video.id || index
-            }' - segment at index ${segIndex} is missing 'start' property`
-          );
-        if (!segment.end)
-          missingProperties.push(
-            `Video with id '${
-              video.id || index
-            }' - segment at index ${segIndex} is missing 'end' property`
-          );
-      });
-    }
-  });
-
-  if (missingProperties.length > 0) {
-    console.log('\n⚠️ Found properties that might cause issues:');
-    missingProperties.forEach((issue) => console.log(`- ${issue}`));
-  } else {
-    console.log('✅ All required properties are present in videos.json');
-  }
-
-  // Debug check 2: URL validation
-  console.log('\nChecking YouTube URLs...');
-
-  const invalidUrls = [];
-
-  videosData.forEach((video) => {
-    const url = video.url;
-    const isValid =
-      /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[a-zA-Z0-9_-]{11}/.test(url);
-
-    if (!isValid) {
-      invalidUrls.push(
-        `Video with id '${video.id}' has potentially invalid YouTube URL: ${url}`
-      );
-    }
-  });
+  const issues = validateVideoConfigs(videosData);
 
-  if (invalidUrls.length > 0) {
-    console.log('⚠️ Found potentially invalid URLs:');
-    invalidUrls.forEach((issue) => console.log(`- ${issue}`));
+  if (issues.length > 0) {
+    console.log(`⚠️ Found ${issues.length} schema problem(s):`);
+    issues.forEach((issue) => console.log(`- ${formatValidationIssue(issue)}`));
   } else {
-    console.log('✅ All URLs appear to be valid YouTube watch URLs');
+    console.log('✅ All entries match the VideoConfig schema');
   }
 
-  // Debug check 3: Potential problematic strings
+  // Debug check 2: Potential problematic strings
   console.log(
     '\nChecking for problematic strings that could cause issues with replace()...'
   );
@@ -1,28 +1,158 @@
 import { config } from 'dotenv';
+import os from 'os';
 import path from 'path';
-import { AppConfig } from './types';
+import { AppConfig, DownloadOptions, RetryPolicy } from './types';
 
 // Load environment variables from .env file
 config();
 
+/**
+ * Get the default number of videos segmented in parallel
+ * Each encode job cuts up to `segmentConcurrency` segments at once, so the
+ * CPU cores are shared between the segment workers of every job
+ *
+ * @param segmentConcurrency Number of segments of one video cut in parallel
+ * @returns Number of encode jobs, at least 1
+ */
+export function getDefaultEncodeConcurrency(
+  segmentConcurrency: number
+): number {
+  return Math.max(
+    1,
+    Math.floor(os.cpus().length / Math.max(1, segmentConcurrency))
+  );
+}
+
+/**
+ * Read the retry policy of a stage from environment variables
+ * @param prefix Prefix of the stage's attempts variable (e.g. DOWNLOAD)
+ * @param defaults Policy used for unset variables
+ * @returns The policy
+ */
+function readRetryPolicy(prefix: string, defaults: RetryPolicy): RetryPolicy {
+  return {
+    attempts: parseInt(
+      process.env[`${prefix}_RETRY_ATTEMPTS`] || `${defaults.attempts}`,
+      10
+    ),
+    baseDelay: parseInt(
+      process.env.RETRY_BASE_DELAY_MS || `${defaults.baseDelay}`,
+      10
+    ),
+    maxDelay: parseInt(
+      process.env.RETRY_MAX_DELAY_MS || `${defaults.maxDelay}`,
+      10
+    ),
+  };
+}
+
+/**
+ * Read the default download constraints from environment variables
+ * @param defaults Constraints used for unset variables
+ * @returns The constraints
+ */
+function readDownloadOptions(defaults: DownloadOptions): DownloadOptions {
+  const options: DownloadOptions = { ...defaults };
+
+  if (process.env.DOWNLOAD_MAX_HEIGHT) {
+    options.maxHeight = parseInt(process.env.DOWNLOAD_MAX_HEIGHT, 10);
+  }
+  if (process.env.DOWNLOAD_PREFER_CODEC) {
+    options.preferCodec = process.env.DOWNLOAD_PREFER_CODEC.split(',')
+      .map((codec) => codec.trim())
+      .filter(Boolean);
+  }
+  if (
+    process.env.DOWNLOAD_PREFER_CONTAINER === 'mp4' ||
+    process.env.DOWNLOAD_PREFER_CONTAINER === 'webm'
+  ) {
+    options.preferContainer = process.env.DOWNLOAD_PREFER_CONTAINER;
+  }
+  if (process.env.DOWNLOAD_PARTIAL) {
+    options.partial = process.env.DOWNLOAD_PARTIAL === 'true';
+  }
+  if (process.env.DOWNLOAD_AUDIO_BITRATE_MIN) {
+    options.audioBitrateMin = parseInt(
+      process.env.DOWNLOAD_AUDIO_BITRATE_MIN,
+      10
+    );
+  }
+
+  return options;
+}
+
 const defaultConfig: AppConfig = {
   concurrency: 2,
+  // ffmpeg work is CPU-bound, so run about one FFmpeg process per core
+  encodeConcurrency: getDefaultEncodeConcurrency(2),
+  segmentConcurrency: 2,
   outputDir: path.resolve(process.cwd(), 'output'),
   tempDir: path.resolve(process.cwd(), 'temp'),
   logLevel: 'info',
   devMode: process.env.NODE_ENV === 'development',
+  rangePolicy: 'clamp',
+  snapTolerance: 0.5,
+  cacheMaxSize: 0,
+  deleteTempFiles: false,
+  offline: false,
+  retry: {
+    info: { attempts: 3, baseDelay: 1000, maxDelay: 30000 },
+    download: { attempts: 3, baseDelay: 2000, maxDelay: 60000 },
+    // Encoding errors are rarely transient, so only try once more
+    encode: { attempts: 2, baseDelay: 1000, maxDelay: 10000 },
+  },
+  // No constraints: the best available streams
+  download: {},
+  // Leaves room for the keyframe a stream copy has to start from
+  partialPadding: 10,
+  streamSegments: false,
 };
 
 // Read config from environment variables
+const segmentConcurrency = parseInt(
+  process.env.SEGMENT_CONCURRENCY || `${defaultConfig.segmentConcurrency}`,
+  10
+);
+
 const appConfig: AppConfig = {
   concurrency: parseInt(
     process.env.CONCURRENCY || `${defaultConfig.concurrency}`,
     10
   ),
+  encodeConcurrency: parseInt(
+    process.env.ENCODE_CONCURRENCY ||
+      `${getDefaultEncodeConcurrency(segmentConcurrency)}`,
+    10
+  ),
+  segmentConcurrency,
   outputDir: process.env.OUTPUT_DIR || defaultConfig.outputDir,
   tempDir: process.env.TEMP_DIR || defaultConfig.tempDir,
   logLevel: process.env.LOG_LEVEL || defaultConfig.logLevel,
   devMode: process.env.DEV_MODE === 'true' || defaultConfig.devMode,
+  rangePolicy:
+    process.env.SEGMENT_RANGE_POLICY === 'reject'
+      ? 'reject'
+      : defaultConfig.rangePolicy,
+  snapTolerance: parseFloat(
+    process.env.KEYFRAME_SNAP_TOLERANCE || `${defaultConfig.snapTolerance}`
+  ),
+  cacheMaxSize: parseFloat(
+    process.env.CACHE_MAX_SIZE_MB || `${defaultConfig.cacheMaxSize}`
+  ),
+  deleteTempFiles:
+    process.env.DELETE_TEMP_FILES === 'true' || defaultConfig.deleteTempFiles,
+  offline: process.env.OFFLINE === 'true' || defaultConfig.offline,
+  retry: {
+    info: readRetryPolicy('INFO', defaultConfig.retry.info),
+    download: readRetryPolicy('DOWNLOAD', defaultConfig.retry.download),
+    encode: readRetryPolicy('ENCODE', defaultConfig.retry.encode),
+  },
+  download: readDownloadOptions(defaultConfig.download),
+  partialPadding: parseFloat(
+    process.env.PARTIAL_PADDING || `${defaultConfig.partialPadding}`
+  ),
+  streamSegments:
+    process.env.STREAM_SEGMENTS === 'true' || defaultConfig.streamSegments,
 };
 
 export default appConfig;
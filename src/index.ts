@@ -1,19 +1,64 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { Command } from 'commander';
-import { VideoConfig, Segment } from './types';
+import {
+  ChapterSource,
+  FetchedMedia,
+  MediaRange,
+  PartialRange,
+  ProgressTracker,
+  RetryAttempt,
+  VideoConfig,
+  Segment,
+  SourceMetadata,
+  SourceProvider,
+} from './types';
 import logger from './services/logger';
-import config from './config';
-import { downloadVideo, detectVideoChapters } from './services/downloader';
-import { segmentVideo } from './services/processor';
+import config, { getDefaultEncodeConcurrency } from './config';
+import { getSourceProvider, getSourceProviderNames } from './services/sources';
+import {
+  SegmentationResult,
+  SegmentOptions,
+  segmentVideo,
+} from './services/processor';
+import { fetchCoverArt, isAudioFormat } from './services/audio';
+import { createJobScheduler, JobScheduler } from './services/scheduler';
+import {
+  clearCache,
+  fetchCachedMedia,
+  getCacheSize,
+  pruneCache,
+  readCacheIndex,
+  releaseCachedMedia,
+  removeCacheEntry,
+} from './services/cache';
+import { describeSegmentMode, resolveSegments } from './services/segments';
+import { withRetry } from './services/retry';
 import {
+  planPartialDownload,
+  toPartialSegments,
+  toSourceSegmentation,
+} from './services/partial';
+import { planStreamedSegments, streamSegments } from './services/streaming';
+import {
+  clearRetryHistory,
   initProgressTracker,
   markVideoCompleted,
   markVideoFailed,
+  recordRetryAttempt,
 } from './utils/progress';
 import { sanitizeFileName, safeReplace } from './utils/string';
 import { isDefined, safeGet, safeGetNested } from './utils/guards';
 import { debugDump } from './utils/debug';
+import { formatTimestamp } from './utils/timestamp';
+import {
+  formatValidationIssue,
+  loadVideoConfigs,
+  validateVideoConfigs,
+} from './services/validator';
+
+// Default location of the video configuration file
+const DEFAULT_DATA_PATH = path.resolve(process.cwd(), 'data', 'videos.json');
 
 // Setup command line options
 const program = new Command();
@@ -21,9 +66,18 @@ program
   .version('1.0.0')
   .option(
     '-c, --concurrency <number>',
-    'Number of videos to process in parallel',
+    'Number of videos to download in parallel',
     String(config.concurrency)
   )
+  .option(
+    '--encode-concurrency <number>',
+    'Number of videos to segment in parallel (default: CPU cores / segment concurrency)'
+  )
+  .option(
+    '--segment-concurrency <number>',
+    'Number of segments of one video to cut in parallel',
+    String(config.segmentConcurrency)
+  )
   .option(
     '-o, --output <directory>',
     'Output directory for processed videos',
@@ -34,43 +88,263 @@ program
     'Temporary directory for downloaded videos',
     config.tempDir
   )
+  .option(
+    '--cache-max-size <mb>',
+    'Maximum size of the download cache in megabytes (0 for unlimited)',
+    String(config.cacheMaxSize)
+  )
+  .option(
+    '--delete-temp',
+    'Delete the downloaded media of a video once all its segments are cut'
+  )
+  .option(
+    '--offline',
+    'Run from cached video info and downloads only, failing for anything not cached'
+  )
+  .option(
+    '--max-height <pixels>',
+    'Largest video height to download (e.g. 720), unless a video sets its own'
+  )
+  .option(
+    '--prefer-codec <codecs>',
+    'Comma-separated video codecs in order of preference (e.g. avc1,vp9,av01)'
+  )
+  .option(
+    '--partial-download',
+    'Download only the time around the segments of videos with a segment list'
+  )
+  .option(
+    '--stream',
+    'Cut segment lists while the source streams in, without downloading it first'
+  )
+  .option(
+    '--retry-attempts <number>',
+    'Maximum attempts of each stage (info, download, encode) on transient errors'
+  )
   .option('-f, --force', 'Force reprocessing of already completed videos')
   .option(
     '-d, --dev',
     'Run in development mode with enhanced debugging and full error traces'
   )
-  .option('--verbose', 'Display additional debug information during processing')
-  .parse(process.argv);
+  .option(
+    '--verbose',
+    'Display additional debug information during processing'
+  );
+
+program
+  .command('validate')
+  .description('Validate the video configuration file without processing it')
+  .argument('[file]', 'Path to the video configuration file', DEFAULT_DATA_PATH)
+  .action((file: string) => {
+    validateCommand(file).catch(handleFatalError);
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect and clean up the download cache');
+
+cacheCommand
+  .command('list')
+  .description('List cached downloads, most recently used first')
+  .action(() => {
+    applyCommandLineOptions();
+    cacheListCommand().catch(handleFatalError);
+  });
+
+cacheCommand
+  .command('prune')
+  .description(
+    'Forget missing downloads and evict the least recently used ones over the maximum size'
+  )
+  .action(() => {
+    applyCommandLineOptions();
+    cachePruneCommand().catch(handleFatalError);
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Delete every cached download')
+  .action(() => {
+    applyCommandLineOptions();
+    cacheClearCommand().catch(handleFatalError);
+  });
+
+program.action(() => {
+  applyCommandLineOptions();
+  main().catch(handleFatalError);
+});
+
+let forceReprocess = false;
+let verbose = false;
+
+/**
+ * Apply the parsed command line options to the application config
+ */
+function applyCommandLineOptions(): void {
+  const options = program.opts();
+
+  // Debug the command line options to see what's being received
+  if (process.argv.includes('--dev')) {
+    console.log('Command line arguments:');
+    console.log(process.argv);
+    console.log('Parsed options:');
+    console.log(options);
+  }
+
+  // Update config with command line options
+  config.concurrency = parseInt(options.concurrency, 10);
+  config.segmentConcurrency = parseInt(options.segmentConcurrency, 10);
+  if (options.encodeConcurrency) {
+    config.encodeConcurrency = parseInt(options.encodeConcurrency, 10);
+  } else if (!process.env.ENCODE_CONCURRENCY) {
+    // Share the cores between the segment workers set on the command line
+    config.encodeConcurrency = getDefaultEncodeConcurrency(
+      config.segmentConcurrency
+    );
+  }
+  config.cacheMaxSize = parseFloat(options.cacheMaxSize);
+  config.deleteTempFiles = options.deleteTemp || config.deleteTempFiles;
+  config.offline = options.offline || config.offline;
+  config.streamSegments = options.stream || config.streamSegments;
 
-const options = program.opts();
+  // Default download constraints; a video's download block overrides them
+  if (options.maxHeight) {
+    config.download.maxHeight = parseInt(options.maxHeight, 10);
+  }
+  if (options.preferCodec) {
+    config.download.preferCodec = options.preferCodec
+      .split(',')
+      .map((codec: string) => codec.trim())
+      .filter(Boolean);
+  }
 
-// Debug the command line options to see what's being received
-if (process.argv.includes('--dev')) {
-  console.log('Command line arguments:');
-  console.log(process.argv);
-  console.log('Parsed options:');
-  console.log(options);
+  if (options.partialDownload) {
+    config.download.partial = true;
+  }
+
+  // One number of attempts for every stage; the environment allows them per stage
+  if (options.retryAttempts) {
+    const attempts = parseInt(options.retryAttempts, 10);
+    config.retry.info.attempts = attempts;
+    config.retry.download.attempts = attempts;
+    config.retry.encode.attempts = attempts;
+  }
+
+  // Explicitly check and set the output directory
+  if (options.output) {
+    config.outputDir = options.output;
+  }
+
+  // Explicitly check and set the temp directory
+  if (options.temp) {
+    config.tempDir = options.temp;
+  } else {
+    // Make sure temp directory has a default value even if not provided
+    config.tempDir = path.resolve(process.cwd(), 'temp');
+  }
+
+  config.devMode = options.dev || config.devMode;
+  forceReprocess = options.force || false;
+  verbose = options.verbose || false;
 }
 
-// Update config with command line options
-config.concurrency = parseInt(options.concurrency, 10);
+/**
+ * Validate a video configuration file and print every problem found
+ * @param filePath Path to the video configuration file
+ */
+async function validateCommand(filePath: string): Promise<void> {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
 
-// Explicitly check and set the output directory
-if (options.output) {
-  config.outputDir = options.output;
+  if (!(await fs.pathExists(resolvedPath))) {
+    console.error(`❌ Data file not found: ${resolvedPath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let data: unknown;
+  try {
+    data = await fs.readJSON(resolvedPath);
+  } catch (err) {
+    console.error(
+      `❌ Could not parse ${resolvedPath}: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const issues = validateVideoConfigs(data, {
+    sources: getSourceProviderNames(),
+  });
+
+  if (issues.length === 0) {
+    const count = Array.isArray(data) ? data.length : 0;
+    console.log(`✅ ${resolvedPath} is valid (${count} videos)`);
+    return;
+  }
+
+  console.error(`❌ Found ${issues.length} problem(s) in ${resolvedPath}:`);
+  issues.forEach((issue) => console.error(`- ${formatValidationIssue(issue)}`));
+  process.exitCode = 1;
 }
 
-// Explicitly check and set the temp directory
-if (options.temp) {
-  config.tempDir = options.temp;
-} else {
-  // Make sure temp directory has a default value even if not provided
-  config.tempDir = path.resolve(process.cwd(), 'temp');
+/**
+ * Format a size in bytes for display
+ * @param bytes Size in bytes
+ * @returns Size in megabytes with one decimal
+ */
+function formatMegabytes(bytes: number): string {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-config.devMode = options.dev || config.devMode;
-const forceReprocess = options.force || false;
-const verbose = options.verbose || false;
+/**
+ * Print the entries of the download cache
+ */
+async function cacheListCommand(): Promise<void> {
+  const index = await readCacheIndex();
+  const entries = Object.entries(index.entries).sort(([, a], [, b]) =>
+    b.lastUsed.localeCompare(a.lastUsed)
+  );
+
+  if (entries.length === 0) {
+    console.log('The download cache is empty');
+    return;
+  }
+
+  entries.forEach(([key, entry]) => {
+    console.log(
+      `${key}  ${formatMegabytes(entry.size)}  ${entry.format}  last used ${
+        entry.lastUsed
+      }  ${entry.sourceUrl}`
+    );
+  });
+
+  const limit =
+    config.cacheMaxSize > 0
+      ? ` of ${formatMegabytes(config.cacheMaxSize * 1024 * 1024)}`
+      : '';
+  console.log(
+    `${entries.length} entries, ${formatMegabytes(getCacheSize(index))}${limit}`
+  );
+}
+
+/**
+ * Forget missing downloads and evict the least recently used ones over the maximum size
+ */
+async function cachePruneCommand(): Promise<void> {
+  const removed = await pruneCache(config.cacheMaxSize);
+  removed.forEach((key) => console.log(`Removed ${key}`));
+  console.log(`Pruned ${removed.length} cache entries`);
+}
+
+/**
+ * Delete every cached download
+ */
+async function cacheClearCommand(): Promise<void> {
+  const count = await clearCache();
+  console.log(`Deleted ${count} cache entries`);
+}
 
 // Main function
 async function main() {
@@ -93,6 +367,10 @@ async function main() {
 
     logger.info('Starting YouTube Video Processor');
 
+    if (config.offline) {
+      logger.info('Offline mode: using cached video info and downloads only');
+    }
+
     // Debug config values
     if (config.devMode) {
       console.log('Config values:');
@@ -109,6 +387,9 @@ async function main() {
         }`
       );
       console.log(`- concurrency: ${config.concurrency}`);
+      console.log(`- encodeConcurrency: ${config.encodeConcurrency}`);
+      console.log(`- segmentConcurrency: ${config.segmentConcurrency}`);
+      console.log(`- cacheMaxSize: ${config.cacheMaxSize}`);
     }
 
     // Ensure required directories exist
@@ -139,30 +420,24 @@ async function main() {
     // Initialize progress tracker
     const progress = await initProgressTracker();
 
-    // Read video configurations
-    const dataPath = path.resolve(process.cwd(), 'data', 'videos.json');
-
-    if (!(await fs.pathExists(dataPath))) {
-      throw new Error(`Data file not found: ${dataPath}`);
-    }
-
-    const videos: VideoConfig[] = await fs.readJSON(dataPath);
+    // Read and validate video configurations before downloading anything
+    const videos = await loadVideoConfigs(DEFAULT_DATA_PATH, {
+      sources: getSourceProviderNames(),
+    });
     logger.info(`Loaded ${videos.length} videos from data file`);
 
-    // Process videos in batches based on concurrency
-    const videoBatches = [];
-    for (let i = 0; i < videos.length; i += config.concurrency) {
-      videoBatches.push(videos.slice(i, i + config.concurrency));
-    }
-
-    for (const [batchIndex, batch] of videoBatches.entries()) {
-      logger.info(`Processing batch ${batchIndex + 1}/${videoBatches.length}`);
+    // Pipeline the videos: downloads and encodes have their own queues, so
+    // a slow video never holds up the others
+    const scheduler = createJobScheduler({
+      download: config.concurrency,
+      encode: config.encodeConcurrency,
+    });
 
-      // Process videos in batch concurrently
-      await Promise.all(
-        batch.map((video) => processVideo(video, progress, forceReprocess))
-      );
-    }
+    await Promise.all(
+      videos.map((video) =>
+        processVideo(video, progress, scheduler, forceReprocess)
+      )
+    );
 
     logger.info('All videos processed successfully');
   } catch (error: unknown) {
@@ -188,15 +463,48 @@ async function main() {
   }
 }
 
+/**
+ * A video whose media is available locally, or was streamed from its source
+ */
+interface FetchedVideo {
+  videoOutputDir: string;
+  /** Path of the media, or the URL of a streamed video */
+  videoPath: string;
+  provider: SourceProvider;
+  metadata: SourceMetadata;
+  /** Cache entry of the media; absent for media used in place */
+  cacheKey?: string;
+  /** Formats the media was made from, when the source offers a choice */
+  formats?: FetchedMedia['formats'];
+  /** Ranges of the source held by the media, when only parts were downloaded */
+  partialRanges?: PartialRange[];
+}
+
+/**
+ * Segments of a video and how they were cut
+ */
+interface CutVideo {
+  segments: Segment[];
+  chapterSource?: ChapterSource;
+  segmentation: SegmentationResult;
+}
+
+/**
+ * Records a failed attempt at a stage of a video
+ */
+type RetryRecorder = (attempt: RetryAttempt) => Promise<void>;
+
 /**
  * Process a single video
  * @param video Video configuration
  * @param progress Progress tracker
+ * @param scheduler Scheduler running the download and encode jobs
  * @param force Force reprocessing
  */
 async function processVideo(
   video: VideoConfig,
-  progress: { completed: string[]; failed: { id: string; error: string }[] },
+  progress: ProgressTracker,
+  scheduler: JobScheduler,
   force = false
 ): Promise<void> {
   // Skip already completed videos unless force is true
@@ -208,116 +516,85 @@ async function processVideo(
   try {
     logger.info(`Processing video: ${video.id} (${video.url})`);
 
-    // Declare variables at function scope to make them available throughout the function
-    let videoOutputDir: string;
-    let videoPath: string;
+    // Keep the failed attempts of this run in progress.json
+    await clearRetryHistory(progress, video.id);
+    const recordRetry: RetryRecorder = async (attempt) => {
+      await recordRetryAttempt(progress, video.id, attempt);
+    };
 
-    try {
-      // Create a subdirectory for this video
-      videoOutputDir = path.join(config.outputDir, video.id);
-      await fs.ensureDir(videoOutputDir);
-      logger.debug(`Created output directory: ${videoOutputDir}`);
-    } catch (err) {
-      // In development mode, rethrow the error for better debugging
-      if (config.devMode) {
-        throw err;
-      }
-      throw new Error(
-        `Error creating output directory: ${
-          err instanceof Error ? err.message : String(err)
-        }`
-      );
-    }
+    // With --stream, a segment list is cut while the source streams in,
+    // holding a download and an encode slot; anything that cannot be streamed
+    // is downloaded
+    const streamed = config.streamSegments
+      ? await scheduler.run('download', video.id, () =>
+          streamVideo(video, scheduler, recordRetry)
+        )
+      : null;
 
-    try {
-      // Download the video
-      videoPath = await downloadVideo(video.url, config.tempDir);
-      logger.debug(`Downloaded video to: ${videoPath}`);
-    } catch (err) {
-      // In development mode, rethrow the error for better debugging
-      if (config.devMode) {
-        throw err;
-      }
-      throw new Error(
-        `Error downloading video: ${
-          err instanceof Error ? err.message : String(err)
-        }`
-      );
-    }
+    const { fetched, cut } =
+      streamed || (await downloadAndCutVideo(video, scheduler, recordRetry));
+    const { videoOutputDir, provider, metadata } = fetched;
 
-    // Determine segments
-    let segments: Segment[];
-
-    try {
-      if (video.segments === 'auto') {
-        logger.info('Using auto-segmentation based on video chapters');
-        segments = await detectVideoChapters(video.url);
-
-        // If no chapters were detected, create a single segment for the entire video
-        if (segments.length === 0) {
-          logger.info(
-            'No chapters detected, using entire video as a single segment'
-          );
-          segments = [
-            { name: 'Full Video', start: '00:00:00', end: '23:59:59' },
-          ];
-        }
-      } else {
-        segments = video.segments;
-      }
-      logger.debug(`Determined ${segments.length} segments for processing`);
-    } catch (err) {
-      // In development mode, rethrow the error for better debugging
-      if (config.devMode) {
-        throw err;
-      }
-      throw new Error(
-        `Error determining segments: ${
-          err instanceof Error ? err.message : String(err)
-        }`
-      );
-    }
-
-    logger.info(`Processing ${segments.length} segments`);
-
-    let segmentPaths: string[];
-    try {
-      // Process segments
-      segmentPaths = await segmentVideo(
-        videoPath,
-        videoOutputDir,
-        segments,
-        video.formatOptions
-      );
-      logger.debug(`Successfully processed ${segmentPaths.length} segments`);
-    } catch (err) {
-      // In development mode, rethrow the error for better debugging
-      if (config.devMode) {
-        throw err;
-      }
-      throw new Error(
-        `Error processing segments: ${
-          err instanceof Error ? err.message : String(err)
-        }`
-      );
-    }
+    const { segments, chapterSource, segmentation } = cut;
 
     try {
       // Create a summary file
       const summary = {
         id: video.id,
-        title: safeGet(video, 'title', `Video ${video.id}`), // Provide a fallback title using safeGet
+        // Fall back to the source title, then to a generic one
+        title: safeGet(video, 'title', metadata.title || `Video ${video.id}`),
         url: video.url,
+        source: provider.name,
+        origin: metadata.origin,
+        // Formats downloaded from the source (itag, codecs, resolution)
+        download: fetched.formats,
+        // Parts of the source downloaded instead of the whole media
+        partialDownload: fetched.partialRanges?.map((range) => ({
+          start: formatTimestamp(range.start),
+          end: formatTimestamp(range.end),
+        })),
+        // Where 'auto' found its chapters: chapters, description or none
+        chapterSource,
+        mediaDuration: isDefined(segmentation.mediaDuration)
+          ? formatTimestamp(segmentation.mediaDuration)
+          : null,
         segments: segments.map((segment, index) => {
           // Make sure all segment properties are defined with fallbacks using safeGet
           const segmentName = safeGet(segment, 'name', `Segment ${index + 1}`);
+          const result = segmentation.segments[index];
           return {
             name: segmentName,
             start: safeGet(segment, 'start', '00:00:00'),
-            end: safeGet(segment, 'end', '00:00:00'),
-            file: segmentPaths[index] ? path.basename(segmentPaths[index]) : '',
+            // Segments given a duration instead of an end keep it as written
+            end: segment.end,
+            duration: segment.duration,
+            // Times actually cut, after resolving and clamping to the media
+            effective: {
+              start: formatTimestamp(result.start),
+              end: formatTimestamp(result.end),
+              duration: result.duration,
+            },
+            clamped: result.clamped,
+            skipped: result.skipped,
+            // How the segment was cut (copy, snap, smart or encode) and why
+            cut: result.cut
+              ? { method: result.cut.method, reason: result.cut.reason }
+              : undefined,
+            file: result.path ? path.basename(result.path) : '',
           };
         }),
+        // Uncovered time between segments and segments covering the same time
+        gaps: segmentation.gaps.map((gap) => ({
+          start: formatTimestamp(gap.start),
+          end: formatTimestamp(gap.end),
+        })),
+        overlaps: segmentation.overlaps.map((overlap) => ({
+          segments: overlap.segments.map(
+            (overlapIndex) => segmentation.segments[overlapIndex].name
+          ),
+          start: formatTimestamp(overlap.start),
+          end: formatTimestamp(overlap.end),
+        })),
       };
 
       await fs.writeJSON(path.join(videoOutputDir, 'summary.json'), summary, {
@@ -354,9 +631,10 @@ async function processVideo(
         id: video.id,
         url: video.url,
         hasTitle: video.title ? true : false,
-        segmentType: typeof video.segments === 'string' ? 'auto' : 'manual',
-        segmentCount:
-          typeof video.segments === 'string' ? 'auto' : video.segments.length,
+        segmentType: describeSegmentMode(video),
+        segmentCount: Array.isArray(video.segments)
+          ? video.segments.length
+          : describeSegmentMode(video),
       },
     });
 
@@ -365,8 +643,416 @@ async function processVideo(
   }
 }
 
-// Start the application
-main().catch((error: unknown) => {
+/**
+ * Create the output directory of a video and fetch its media
+ * Runs as a download job; metadata and media are retried on transient errors
+ *
+ * @param video Video configuration
+ * @param recordRetry Records failed attempts
+ * @returns The fetched video
+ */
+async function fetchVideo(
+  video: VideoConfig,
+  recordRetry: RetryRecorder
+): Promise<FetchedVideo> {
+  // Declare variables at function scope to make them available throughout the function
+  let videoOutputDir: string;
+  let videoPath: string;
+  let provider: SourceProvider;
+  let metadata: SourceMetadata;
+  let cacheKey: string | undefined;
+  let formats: FetchedMedia['formats'];
+  let partialRanges: PartialRange[] | undefined;
+  let ranges: MediaRange[] | null;
+
+  try {
+    // Create a subdirectory for this video
+    videoOutputDir = path.join(config.outputDir, video.id);
+    await fs.ensureDir(videoOutputDir);
+    logger.debug(`Created output directory: ${videoOutputDir}`);
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error creating output directory: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  try {
+    // Pick the source provider and resolve the video metadata
+    provider = getSourceProvider(video);
+    metadata = await withRetry(
+      'info',
+      video.id,
+      () => provider.resolveMetadata(video.url),
+      recordRetry
+    );
+    logger.debug(`Using source '${provider.name}' for video ${video.id}`);
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error resolving video source: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  // Within the global download constraints and those of the video
+  const downloadOptions = { ...config.download, ...video.download };
+
+  try {
+    // With partial downloads, only the time around the segments is fetched
+    // when the source supports it; invalid segment times fail here, before
+    // anything is downloaded
+    ranges = downloadOptions.partial
+      ? planPartialDownload(video, metadata.duration)
+      : null;
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error planning partial download: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  try {
+    // Fetch the video through the download cache
+    const media = await withRetry(
+      'download',
+      video.id,
+      () =>
+        fetchCachedMedia(
+          provider,
+          metadata,
+          video.url,
+          downloadOptions,
+          ranges || undefined
+        ),
+      recordRetry
+    );
+    videoPath = media.path;
+    cacheKey = media.cacheKey;
+    formats = media.formats;
+    partialRanges = media.ranges;
+    logger.debug(`Video available at: ${videoPath}`);
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error downloading video: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  return {
+    videoOutputDir,
+    videoPath,
+    provider,
+    metadata,
+    cacheKey,
+    formats,
+    partialRanges,
+  };
+}
+
+/**
+ * Download a video, then cut it
+ * @param video Video configuration
+ * @param scheduler Scheduler running the download and encode jobs
+ * @param recordRetry Records failed attempts
+ * @returns The fetched video and how it was cut
+ */
+async function downloadAndCutVideo(
+  video: VideoConfig,
+  scheduler: JobScheduler,
+  recordRetry: RetryRecorder
+): Promise<{ fetched: FetchedVideo; cut: CutVideo }> {
+  // Download, then wait for an encode slot; the download slot is
+  // released as soon as the media is fetched
+  const fetched = await scheduler.run('download', video.id, () =>
+    fetchVideo(video, recordRetry)
+  );
+
+  let cut: CutVideo;
+  try {
+    cut = await scheduler.run('encode', video.id, () =>
+      cutVideo(video, fetched, recordRetry)
+    );
+  } catch (err) {
+    await releaseVideoMedia(fetched, false);
+    throw err;
+  }
+  await releaseVideoMedia(fetched, true);
+
+  return { fetched, cut };
+}
+
+/**
+ * Cut the segment list of a video while its source streams in, without a download
+ * Runs as a download job, and takes an encode slot for the stream itself,
+ * which reads the network and runs FFmpeg at once. A video that cannot be
+ * streamed, or whose stream fails, is left to be downloaded and cut as usual.
+ *
+ * @param video Video configuration
+ * @param scheduler Scheduler running the encode job
+ * @param recordRetry Records failed attempts
+ * @returns The video and how it was cut, or null if it was not streamed
+ */
+async function streamVideo(
+  video: VideoConfig,
+  scheduler: JobScheduler,
+  recordRetry: RetryRecorder
+): Promise<{ fetched: FetchedVideo; cut: CutVideo } | null> {
+  const segments = video.segments;
+  const provider = getSourceProvider(video);
+  const getStreamInputs = provider.getStreamInputs;
+
+  // Other segment modes need the media to find their segments
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return null;
+  }
+
+  if (!getStreamInputs || config.offline) {
+    logger.debug(
+      `Source '${provider.name}' cannot be streamed, downloading it`
+    );
+    return null;
+  }
+
+  try {
+    const videoOutputDir = path.join(config.outputDir, video.id);
+    const metadata = await withRetry(
+      'info',
+      video.id,
+      () => provider.resolveMetadata(video.url),
+      recordRetry
+    );
+
+    const plan = planStreamedSegments(segments, metadata, video.formatOptions);
+    if (!plan) {
+      logger.info(`Downloading ${video.id} instead of streaming it`);
+      return null;
+    }
+
+    const downloadOptions = { ...config.download, ...video.download };
+    const inputs = await withRetry(
+      'info',
+      video.id,
+      () => getStreamInputs(video.url, downloadOptions),
+      recordRetry
+    );
+
+    const segmentOptions = await getSegmentOptions(video, provider, metadata);
+
+    // Every attempt reads the source again from its start, so the stream
+    // is retried like a download
+    const segmentation = await scheduler.run('encode', video.id, () =>
+      withRetry(
+        'download',
+        video.id,
+        () =>
+          streamSegments(
+            inputs,
+            videoOutputDir,
+            segments,
+            plan,
+            segmentOptions
+          ),
+        recordRetry
+      )
+    );
+
+    return {
+      fetched: { videoOutputDir, videoPath: video.url, provider, metadata },
+      cut: { segments, segmentation },
+    };
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    logger.warn(
+      `Could not stream ${video.id}, downloading it instead: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+    return null;
+  }
+}
+
+/**
+ * Release the cached media of a video once it has been cut
+ * With --delete-temp, the media is deleted after a successful cut unless
+ * another video of this run still needs it. Media used in place is never deleted.
+ *
+ * @param fetched The fetched video
+ * @param completed Whether all segments were cut
+ */
+async function releaseVideoMedia(
+  fetched: FetchedVideo,
+  completed: boolean
+): Promise<void> {
+  const { cacheKey } = fetched;
+
+  if (!cacheKey || !releaseCachedMedia(cacheKey)) {
+    return;
+  }
+
+  if (completed && config.deleteTempFiles) {
+    try {
+      await removeCacheEntry(cacheKey);
+      logger.info(`Deleted downloaded media: ${fetched.videoPath}`);
+    } catch (err) {
+      // The segments are done, so a failed cleanup does not fail the video
+      logger.warn(
+        `Could not delete downloaded media ${fetched.videoPath}: ${
+          err instanceof Error ? err.message : String(err)
+        }`
+      );
+    }
+  }
+}
+
+/**
+ * Get the segmentation options of a video
+ * Audio formats are tagged with the title and channel of the video, and get
+ * its thumbnail as cover art
+ *
+ * @param video Video configuration
+ * @param provider Source provider of the video
+ * @param metadata Metadata resolved by the provider
+ * @returns The options
+ */
+async function getSegmentOptions(
+  video: VideoConfig,
+  provider: SourceProvider,
+  metadata: SourceMetadata
+): Promise<SegmentOptions> {
+  const options: SegmentOptions = { ...video.formatOptions };
+
+  if (!options.format || !isAudioFormat(options.format)) {
+    return options;
+  }
+
+  const cover = await fetchCoverArt(provider, metadata);
+  return {
+    ...options,
+    tags: {
+      album: safeGet(video, 'title', metadata.title || `Video ${video.id}`),
+      artist: metadata.author,
+      cover: cover || undefined,
+    },
+  };
+}
+
+/**
+ * Determine the segments of a fetched video and cut them
+ * Runs as an encode job; cutting is retried on transient errors, reusing
+ * the segments that were already cut
+ *
+ * @param video Video configuration
+ * @param fetched The fetched video
+ * @param recordRetry Records failed attempts
+ * @returns The segments and how they were cut
+ */
+async function cutVideo(
+  video: VideoConfig,
+  fetched: FetchedVideo,
+  recordRetry: RetryRecorder
+): Promise<CutVideo> {
+  const { videoOutputDir, videoPath, provider, metadata, partialRanges } =
+    fetched;
+
+  // Determine segments
+  let segments: Segment[];
+  let chapterSource: ChapterSource | undefined;
+
+  try {
+    const resolved = await resolveSegments(
+      video,
+      provider,
+      videoPath,
+      videoOutputDir
+    );
+    segments = resolved.segments;
+    chapterSource = resolved.chapterSource;
+    logger.debug(`Determined ${segments.length} segments for processing`);
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error determining segments: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  logger.info(`Processing ${segments.length} segments`);
+
+  let segmentation: SegmentationResult;
+  try {
+    // A partial download holds only some ranges of the source, so cut it at
+    // the matching times and report the source times
+    const cutSegments = partialRanges
+      ? toPartialSegments(segments, partialRanges, metadata.duration)
+      : segments;
+
+    // Process segments
+    const segmentOptions = await getSegmentOptions(video, provider, metadata);
+    segmentation = await withRetry(
+      'encode',
+      video.id,
+      () =>
+        segmentVideo(videoPath, videoOutputDir, cutSegments, segmentOptions),
+      recordRetry
+    );
+
+    if (partialRanges) {
+      segmentation = toSourceSegmentation(
+        segmentation,
+        partialRanges,
+        metadata.duration
+      );
+    }
+    logger.debug(
+      `Successfully processed ${segmentation.segments.length} segments`
+    );
+  } catch (err) {
+    // In development mode, rethrow the error for better debugging
+    if (config.devMode) {
+      throw err;
+    }
+    throw new Error(
+      `Error processing segments: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  return { segments, chapterSource, segmentation };
+}
+
+/**
+ * Report an error that escaped a command handler and exit
+ * @param error The unhandled error
+ */
+function handleFatalError(error: unknown): void {
   // In development mode, log the full error details to console
   if (config.devMode) {
     console.error('Unhandled error in development mode:');
@@ -377,4 +1063,7 @@ main().catch((error: unknown) => {
   const errorMessage = error instanceof Error ? error.message : String(error);
   logger.error(`Unhandled error: ${errorMessage}`, { error });
   process.exit(1);
-});
+}
+
+// Start the application
+program.parse(process.argv);
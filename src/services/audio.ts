@@ -0,0 +1,235 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+import path from 'path';
+import { SourceMetadata, SourceProvider } from '../types';
+import logger from './logger';
+import config from '../config';
+import { getCacheEntryDir } from './cache';
+
+/**
+ * Audio output formats, written without a video stream
+ */
+export const AUDIO_FORMATS = ['mp3', 'm4a', 'flac', 'opus', 'wav'] as const;
+
+export type AudioFormat = (typeof AUDIO_FORMATS)[number];
+
+// Default bitrates in kbps of the lossy formats, by quality
+const AUDIO_BITRATES: Record<'mp3' | 'm4a' | 'opus', Record<string, number>> = {
+  mp3: { high: 320, medium: 192, low: 128 },
+  m4a: { high: 256, medium: 192, low: 128 },
+  opus: { high: 160, medium: 128, low: 96 },
+};
+
+// Formats whose tags can hold a picture
+const COVER_FORMATS: AudioFormat[] = ['mp3', 'm4a', 'flac'];
+
+/**
+ * Bitrate or VBR quality of an audio output
+ */
+export interface AudioEncoding {
+  /** Bitrate in kbps of mp3, m4a and opus output */
+  audioBitrate?: number;
+  /** LAME VBR quality of mp3 output, from 0 (best) to 9 (smallest) */
+  audioQuality?: number;
+}
+
+/**
+ * Tags shared by every segment of a video
+ */
+export interface AudioTags {
+  /** Title of the video */
+  album?: string;
+  /** Channel or author of the video */
+  artist?: string;
+  /** Path of the cover art */
+  cover?: string;
+}
+
+/**
+ * Tags of one segment
+ */
+export interface TrackTags extends AudioTags {
+  /** Name of the segment */
+  title: string;
+  /** Position of the segment, starting at 1 */
+  track: number;
+  /** Number of segments of the video */
+  total: number;
+}
+
+/**
+ * Check whether an output format is an audio format
+ * @param format Output format
+ * @returns True for mp3, m4a, flac, opus and wav
+ */
+export function isAudioFormat(format: string): format is AudioFormat {
+  return (AUDIO_FORMATS as readonly string[]).includes(format);
+}
+
+/**
+ * Check whether the tags of an audio format can hold cover art
+ * Ogg Opus and WAV files are written without it
+ *
+ * @param format Audio format
+ * @returns True if a cover can be embedded
+ */
+export function supportsCoverArt(format: AudioFormat): boolean {
+  return COVER_FORMATS.includes(format);
+}
+
+/**
+ * Get the ffmpeg codec options of an audio output
+ * @param format Audio format
+ * @param quality Encoding quality (high, medium or low), for the default bitrate
+ * @param encoding Bitrate or VBR quality set for the video
+ * @returns The output options
+ */
+export function getAudioOutputOptions(
+  format: AudioFormat,
+  quality: string,
+  encoding: AudioEncoding = {}
+): string[] {
+  switch (format) {
+    case 'mp3':
+      // VBR quality wins over a bitrate
+      return encoding.audioQuality !== undefined
+        ? ['-c:a libmp3lame', `-q:a ${encoding.audioQuality}`]
+        : [
+            '-c:a libmp3lame',
+            `-b:a ${encoding.audioBitrate || AUDIO_BITRATES.mp3[quality]}k`,
+          ];
+    case 'm4a':
+      return [
+        '-c:a aac',
+        `-b:a ${encoding.audioBitrate || AUDIO_BITRATES.m4a[quality]}k`,
+        '-movflags faststart',
+      ];
+    case 'opus':
+      // Opus is always VBR, around the bitrate
+      return [
+        '-c:a libopus',
+        '-vbr on',
+        `-b:a ${encoding.audioBitrate || AUDIO_BITRATES.opus[quality]}k`,
+      ];
+    case 'flac':
+      return ['-c:a flac', '-compression_level 8'];
+    case 'wav':
+      return ['-c:a pcm_s16le'];
+  }
+}
+
+/**
+ * Get the ffmpeg options mapping the streams of an audio output and writing its tags
+ * The options are separate arguments, since tag values may contain spaces;
+ * pass them to `outputOptions` spread, so fluent-ffmpeg does not split them
+ *
+ * @param format Audio format
+ * @param tags Tags of the segment
+ * @param audioInput Index of the input holding the audio
+ * @param coverInput Index of the input holding the cover art, if it is embedded
+ * @returns The output options
+ */
+export function getAudioTagOptions(
+  format: AudioFormat,
+  tags: TrackTags,
+  audioInput: number,
+  coverInput?: number
+): string[] {
+  const options = ['-map', `${audioInput}:a:0`];
+
+  if (coverInput !== undefined) {
+    options.push(
+      '-map',
+      `${coverInput}:v:0`,
+      '-c:v',
+      'copy',
+      '-disposition:v',
+      'attached_pic',
+      '-metadata:s:v',
+      'comment=Cover (front)'
+    );
+  }
+
+  const metadata: Record<string, string | undefined> = {
+    title: tags.title,
+    album: tags.album,
+    artist: tags.artist,
+    album_artist: tags.artist,
+    track: `${tags.track}/${tags.total}`,
+  };
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value) {
+      options.push('-metadata', `${key}=${value}`);
+    }
+  }
+
+  // ID3v2.3 is the version most players read cover art from
+  if (format === 'mp3') {
+    options.push('-id3v2_version', '3');
+  }
+
+  return options;
+}
+
+/**
+ * Save the thumbnail of a video as JPEG cover art, next to its cached media
+ * The image is converted with ffmpeg, so WebP or PNG thumbnails work too.
+ * Cover art is optional: failures are logged and the segments are written
+ * without it.
+ *
+ * @param provider Source provider of the video
+ * @param metadata Metadata of the video, with its thumbnail
+ * @returns Path of the cover art, or null if there is none
+ */
+export async function fetchCoverArt(
+  provider: SourceProvider,
+  metadata: SourceMetadata
+): Promise<string | null> {
+  if (!metadata.thumbnail) {
+    return null;
+  }
+
+  const coverPath = path.join(
+    getCacheEntryDir(provider.name, metadata.id),
+    'cover.jpg'
+  );
+
+  if (await fs.pathExists(coverPath)) {
+    return coverPath;
+  }
+
+  if (config.offline) {
+    logger.warn(`Offline mode: cover art of ${metadata.id} is not cached`);
+    return null;
+  }
+
+  const partPath = path.join(path.dirname(coverPath), 'cover.part.jpg');
+
+  try {
+    await fs.ensureDir(path.dirname(coverPath));
+    await new Promise<void>((resolve, reject) => {
+      ffmpeg(metadata.thumbnail)
+        .outputOptions(['-frames:v 1', '-q:v 2'])
+        .output(partPath)
+        .on('start', (commandLine) => {
+          logger.debug(`FFmpeg command: ${commandLine}`);
+        })
+        .on('end', () => resolve())
+        .on('error', (err: Error) => reject(err))
+        .run();
+    });
+    await fs.move(partPath, coverPath, { overwrite: true });
+
+    logger.info(`Saved cover art: ${coverPath}`);
+    return coverPath;
+  } catch (err) {
+    await fs.remove(partPath);
+    logger.warn(
+      `Could not save cover art of ${metadata.id}: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+    return null;
+  }
+}
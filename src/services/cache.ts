@@ -0,0 +1,382 @@
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  DownloadOptions,
+  FetchedMedia,
+  MediaRange,
+  SourceMetadata,
+  SourceProvider,
+} from '../types';
+import logger from './logger';
+import config from '../config';
+import { sanitizeFileName } from '../utils/string';
+import { createLimiter } from '../utils/concurrency';
+
+const INDEX_FILE = 'index.json';
+const BYTES_PER_MB = 1024 * 1024;
+
+// Index updates are read-modify-write, so run them one at a time
+const indexLock = createLimiter(1);
+
+// Number of videos of this run using each entry; entries in use are never evicted
+const entriesInUse = new Map<string, number>();
+
+/**
+ * A downloaded media file in the cache
+ */
+export interface CacheEntry {
+  provider: string;
+  /** Video ID as resolved by the provider */
+  videoId: string;
+  sourceUrl: string;
+  /** Media file, relative to the cache directory */
+  file: string;
+  /** Size in bytes of the entry directory: every download and sidecar file in it */
+  size: number;
+  /** Container of the media file (its extension) */
+  format: string;
+  /** ISO timestamps */
+  created: string;
+  lastUsed: string;
+}
+
+/**
+ * Cache entries by key (`<provider>:<videoId>`)
+ */
+export interface CacheIndex {
+  entries: Record<string, CacheEntry>;
+}
+
+/**
+ * Media fetched through the cache
+ */
+export interface CachedMedia extends FetchedMedia {
+  /** Cache key, absent for media used in place */
+  cacheKey?: string;
+}
+
+/**
+ * Get the directory holding the cache
+ * @returns Absolute path of the cache directory
+ */
+export function getCacheDir(): string {
+  return path.join(config.tempDir, 'cache');
+}
+
+/**
+ * Get the cache key of a video
+ * @param provider Name of the source provider
+ * @param videoId Video ID as resolved by the provider
+ * @returns The key
+ */
+export function getCacheKey(provider: string, videoId: string): string {
+  return `${provider}:${videoId}`;
+}
+
+/**
+ * Get the directory of a cache entry
+ * Providers may keep sidecar files (e.g. info.json) next to the media
+ *
+ * @param provider Name of the source provider
+ * @param videoId Video ID as resolved by the provider
+ * @returns Absolute path of the entry directory
+ */
+export function getCacheEntryDir(provider: string, videoId: string): string {
+  return path.join(
+    getCacheDir(),
+    sanitizeFileName(provider),
+    sanitizeFileName(videoId, 'unknown')
+  );
+}
+
+/**
+ * Create the error reported when something needed is not cached in offline mode
+ * @param what Description of the missing item
+ * @returns The error
+ */
+export function offlineError(what: string): Error {
+  return new Error(
+    `Offline mode: ${what} is not cached; run once without --offline to fetch it`
+  );
+}
+
+/**
+ * Fail when something that is not cached is needed in offline mode
+ * @param what Description of the missing item, for the error message
+ */
+export function requireOnline(what: string): void {
+  if (config.offline) {
+    throw offlineError(what);
+  }
+}
+
+/**
+ * Read the cache index
+ * @returns The index, empty if there is none yet
+ */
+export async function readCacheIndex(): Promise<CacheIndex> {
+  const indexPath = path.join(getCacheDir(), INDEX_FILE);
+
+  if (!(await fs.pathExists(indexPath))) {
+    return { entries: {} };
+  }
+
+  try {
+    const index = (await fs.readJSON(indexPath)) as CacheIndex;
+    return { entries: index.entries || {} };
+  } catch (err) {
+    logger.warn(`Ignoring unreadable cache index: ${indexPath}`);
+    return { entries: {} };
+  }
+}
+
+/**
+ * Apply a change to the cache index and save it
+ * @param update Function changing the index in place
+ * @returns The value returned by the update
+ */
+function updateCacheIndex<T>(
+  update: (index: CacheIndex) => Promise<T> | T
+): Promise<T> {
+  return indexLock(async () => {
+    const index = await readCacheIndex();
+    const result = await update(index);
+
+    await fs.ensureDir(getCacheDir());
+    await fs.writeJSON(path.join(getCacheDir(), INDEX_FILE), index, {
+      spaces: 2,
+    });
+    return result;
+  });
+}
+
+/**
+ * Delete the files of a cache entry and drop it from the index
+ * @param index Cache index
+ * @param key Key of the entry
+ */
+async function removeEntry(index: CacheIndex, key: string): Promise<void> {
+  const entry = index.entries[key];
+  delete index.entries[key];
+
+  if (entry) {
+    await fs.remove(getCacheEntryDir(entry.provider, entry.videoId));
+  }
+}
+
+/**
+ * Get the size of everything in a directory
+ * @param dir Directory
+ * @returns Size in bytes; 0 if the directory does not exist
+ */
+async function getDirectorySize(dir: string): Promise<number> {
+  if (!(await fs.pathExists(dir))) {
+    return 0;
+  }
+
+  let total = 0;
+  for (const name of await fs.readdir(dir)) {
+    const itemPath = path.join(dir, name);
+    // Files may be renamed by a download of another video sharing the entry
+    const stats = await fs.stat(itemPath).catch(() => null);
+
+    if (stats) {
+      total += stats.isDirectory()
+        ? await getDirectorySize(itemPath)
+        : stats.size;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Get the total size of the cache
+ * @param index Cache index
+ * @returns Size in bytes
+ */
+export function getCacheSize(index: CacheIndex): number {
+  return Object.values(index.entries).reduce(
+    (total, entry) => total + entry.size,
+    0
+  );
+}
+
+/**
+ * Evict the least recently used entries until the cache fits its maximum size
+ * Entries used by videos still being processed are kept
+ *
+ * @param index Cache index
+ * @param maxSize Maximum size in bytes; 0 means unlimited
+ * @returns Keys of the evicted entries
+ */
+async function evictEntries(
+  index: CacheIndex,
+  maxSize: number
+): Promise<string[]> {
+  const evicted: string[] = [];
+
+  if (maxSize <= 0) {
+    return evicted;
+  }
+
+  const candidates = Object.entries(index.entries)
+    .filter(([key]) => !entriesInUse.has(key))
+    .sort(([, a], [, b]) => a.lastUsed.localeCompare(b.lastUsed));
+
+  for (const [key] of candidates) {
+    if (getCacheSize(index) <= maxSize) {
+      break;
+    }
+    await removeEntry(index, key);
+    evicted.push(key);
+  }
+
+  if (getCacheSize(index) > maxSize) {
+    logger.warn(
+      `Cache exceeds its maximum size of ${Math.round(
+        maxSize / BYTES_PER_MB
+      )} MB, but the remaining entries are in use`
+    );
+  }
+
+  return evicted;
+}
+
+/**
+ * Fetch the media of a video through the download cache
+ * Each video gets its own directory keyed by provider and video ID, so
+ * videos with the same title never collide and a renamed video is not
+ * downloaded again. Providers that use their media in place bypass the cache.
+ * The entry stays in use until `releaseCachedMedia` is called.
+ *
+ * @param provider Source provider of the video
+ * @param metadata Metadata resolved by the provider
+ * @param url URL of the video
+ * @param options Download constraints, for providers that support them
+ * @param ranges Ranges to download instead of the whole media, for providers that support them
+ * @returns The fetched media and its cache key
+ */
+export async function fetchCachedMedia(
+  provider: SourceProvider,
+  metadata: SourceMetadata,
+  url: string,
+  options?: DownloadOptions,
+  ranges?: MediaRange[]
+): Promise<CachedMedia> {
+  if (provider.inPlace) {
+    return provider.fetchMedia(url, config.tempDir, options, ranges);
+  }
+
+  const key = getCacheKey(provider.name, metadata.id);
+  const entryDir = getCacheEntryDir(provider.name, metadata.id);
+  entriesInUse.set(key, (entriesInUse.get(key) || 0) + 1);
+
+  try {
+    const media = await provider.fetchMedia(url, entryDir, options, ranges);
+
+    // Earlier formats, partial downloads and sidecar files stay in the
+    // entry directory and are evicted with it, so all of them count
+    const size = await getDirectorySize(entryDir);
+
+    await updateCacheIndex(async (index) => {
+      const now = new Date().toISOString();
+      const existing = index.entries[key];
+
+      index.entries[key] = {
+        provider: provider.name,
+        videoId: metadata.id,
+        sourceUrl: url,
+        file: path.relative(getCacheDir(), media.path),
+        size,
+        format: path.extname(media.path).slice(1),
+        created: existing ? existing.created : now,
+        lastUsed: now,
+      };
+
+      const evicted = await evictEntries(
+        index,
+        config.cacheMaxSize * BYTES_PER_MB
+      );
+      evicted.forEach((evictedKey) =>
+        logger.info(`Evicted ${evictedKey} from the download cache`)
+      );
+    });
+
+    logger.debug(`Cached ${key} at ${media.path}`);
+    return { ...media, cacheKey: key };
+  } catch (err) {
+    releaseCachedMedia(key);
+    throw err;
+  }
+}
+
+/**
+ * Mark a cache entry as no longer used by a video
+ * @param key Cache key returned by `fetchCachedMedia`
+ * @returns True if no other video of this run still uses the entry
+ */
+export function releaseCachedMedia(key: string): boolean {
+  const users = (entriesInUse.get(key) || 1) - 1;
+
+  if (users > 0) {
+    entriesInUse.set(key, users);
+    return false;
+  }
+
+  entriesInUse.delete(key);
+  return true;
+}
+
+/**
+ * Delete a cache entry
+ * @param key Cache key
+ * @returns True if the entry existed
+ */
+export function removeCacheEntry(key: string): Promise<boolean> {
+  return updateCacheIndex(async (index) => {
+    const exists = key in index.entries;
+    await removeEntry(index, key);
+    return exists;
+  });
+}
+
+/**
+ * Drop index entries whose file is gone, measure the directory of the others
+ * again, and evict entries over the maximum size
+ * @param maxSize Maximum size in megabytes; 0 means unlimited
+ * @returns Keys of the removed entries
+ */
+export function pruneCache(maxSize: number): Promise<string[]> {
+  return updateCacheIndex(async (index) => {
+    const removed: string[] = [];
+
+    for (const [key, entry] of Object.entries(index.entries)) {
+      if (!(await fs.pathExists(path.join(getCacheDir(), entry.file)))) {
+        await removeEntry(index, key);
+        removed.push(key);
+      } else {
+        entry.size = await getDirectorySize(
+          getCacheEntryDir(entry.provider, entry.videoId)
+        );
+      }
+    }
+
+    return removed.concat(await evictEntries(index, maxSize * BYTES_PER_MB));
+  });
+}
+
+/**
+ * Delete every cache entry, along with sidecar files of videos that were never downloaded
+ * @returns Number of entries deleted
+ */
+export function clearCache(): Promise<number> {
+  return updateCacheIndex(async (index) => {
+    const count = Object.keys(index.entries).length;
+
+    index.entries = {};
+    await fs.emptyDir(getCacheDir());
+
+    return count;
+  });
+}
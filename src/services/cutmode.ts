@@ -0,0 +1,99 @@
+import { CutMode } from '../types';
+import { OutputFormat } from './processor';
+import { findNearestKeyframe, KEYFRAME_EPSILON } from './keyframes';
+import { formatTimestamp, roundSeconds } from '../utils/timestamp';
+
+/**
+ * How a segment is cut
+ * - copy: stream copy from a start that falls on a keyframe
+ * - snap: stream copy from the nearest keyframe, moving the start slightly
+ * - smart: re-encode up to the first keyframe and copy the rest
+ * - encode: re-encode the whole segment
+ */
+export type CutMethod = 'copy' | 'snap' | 'smart' | 'encode';
+
+/**
+ * The method chosen for a segment and why
+ */
+export interface CutDecision {
+  method: CutMethod;
+  reason: string;
+  /** Start actually cut from, in seconds (differs from the segment start when snapped) */
+  start: number;
+}
+
+/**
+ * Settings that influence how segments are cut
+ */
+export interface CutSettings {
+  cutMode: CutMode;
+  /** Largest distance in seconds a start may be moved to reach a keyframe */
+  snapTolerance: number;
+  forceEncode: boolean;
+  audioOnly: boolean;
+  format: OutputFormat;
+}
+
+/**
+ * Choose how to cut a segment from the keyframe positions of the input
+ * @param start Start of the segment in seconds
+ * @param end End of the segment in seconds
+ * @param keyframes Keyframe times of the input, or null if they could not be read
+ * @param settings Cut settings of the video
+ * @returns The chosen method and the reason for it
+ */
+export function decideCut(
+  start: number,
+  end: number,
+  keyframes: number[] | null,
+  settings: CutSettings
+): CutDecision {
+  const decision = (method: CutMethod, reason: string, from = start) => ({
+    method,
+    reason,
+    start: from,
+  });
+
+  if (settings.forceEncode) {
+    return decision('encode', 'forceEncode is set');
+  }
+  if (settings.audioOnly) {
+    return decision('encode', 'audio-only output is always encoded');
+  }
+  if (settings.format === 'webm') {
+    return decision('encode', 'webm output is always encoded');
+  }
+
+  if (keyframes === null) {
+    return decision('copy', 'keyframe positions unavailable');
+  }
+
+  const nearest = findNearestKeyframe(keyframes, start);
+  if (nearest === null) {
+    return decision('copy', 'input has no video keyframes');
+  }
+
+  const distance = roundSeconds(Math.abs(nearest - start));
+  const at = formatTimestamp(nearest);
+
+  if (distance <= KEYFRAME_EPSILON) {
+    return decision('copy', `starts on the keyframe at ${at}`);
+  }
+
+  if (settings.cutMode === 'smart') {
+    return decision('smart', 'start is not on a keyframe');
+  }
+
+  if (distance <= settings.snapTolerance && nearest < end) {
+    return decision(
+      'snap',
+      `nearest keyframe at ${at} is ${distance}s away (tolerance ${settings.snapTolerance}s)`,
+      nearest
+    );
+  }
+
+  return decision(
+    'encode',
+    `nearest keyframe at ${at} is ${distance}s away, beyond the ${settings.snapTolerance}s tolerance`
+  );
+}
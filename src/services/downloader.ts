@@ -4,30 +4,454 @@
 const ytdl = require('ytdl-core') as {
   (url: string, options?: any): NodeJS.ReadableStream;
   validateURL: (url: string) => boolean;
+  getVideoID: (url: string) => string;
   getInfo: (url: string) => Promise<any>;
-  chooseFormat: (formats: any[], options: any) => any;
-  downloadFromInfo: (info: any, options?: any) => NodeJS.ReadableStream;
+  downloadFromInfo: (info: any, options?: any) => Readable;
 };
 
+import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs-extra';
 import path from 'path';
+import { Readable } from 'stream';
 import logger from './logger';
-import { Segment } from '../types';
+import {
+  ChapterList,
+  DownloadOptions,
+  FetchedMedia,
+  MediaFormat,
+  MediaRange,
+  PartialRange,
+  SourceMetadata,
+} from '../types';
 import { sanitizeFileName, safeReplace } from '../utils/string';
 import { isDefined, safeGetNested } from '../utils/guards';
 import config from '../config';
 import { debugDump, createAccessTracker } from '../utils/debug';
+import { formatTimestamp } from '../utils/timestamp';
+import { parseDescriptionChapters } from './segments/description';
+import { getVideoMetadata } from './processor';
+import { getCacheEntryDir, requireOnline } from './cache';
+import {
+  downloadRanges,
+  getRangesKey,
+  readPartialRanges,
+  writePartialRanges,
+} from './partial';
+
+// Video info older than this is fetched again when online, since the
+// format URLs it contains expire after a few hours
+const INFO_MAX_AGE = 5 * 60 * 60 * 1000;
+
+// Video info requested during this run, by video ID
+const infoRequests = new Map<string, Promise<any>>();
+
+/**
+ * Load the info of a YouTube video from its info.json sidecar in the
+ * download cache, fetching and saving it when missing or stale
+ *
+ * @param url YouTube video URL
+ * @param videoId ID of the video
+ * @returns The ytdl-core video info
+ */
+async function loadVideoInfo(url: string, videoId: string): Promise<any> {
+  const infoPath = path.join(getCacheEntryDir('youtube', videoId), 'info.json');
+
+  if (await fs.pathExists(infoPath)) {
+    const { mtimeMs } = await fs.stat(infoPath);
+
+    if (config.offline || Date.now() - mtimeMs < INFO_MAX_AGE) {
+      try {
+        logger.debug(`Using cached video info: ${infoPath}`);
+        return await fs.readJSON(infoPath);
+      } catch (err) {
+        logger.warn(`Ignoring unreadable video info: ${infoPath}`);
+      }
+    }
+  }
+
+  requireOnline(`video info of ${url}`);
+
+  const info = await ytdl.getInfo(url);
+
+  try {
+    await fs.outputJSON(infoPath, info);
+  } catch (err) {
+    logger.warn(
+      `Could not cache video info of ${url}: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+  }
+
+  return info;
+}
+
+/**
+ * Get the info of a YouTube video
+ * The info is fetched at most once per run and shared through the download
+ * cache, so metadata, chapter detection and download all use one request
+ *
+ * @param url YouTube video URL
+ * @returns The ytdl-core video info
+ */
+export function getVideoInfo(url: string): Promise<any> {
+  if (!ytdl.validateURL(url)) {
+    return Promise.reject(new Error(`Invalid YouTube URL: ${url}`));
+  }
+
+  const videoId = ytdl.getVideoID(url);
+  let info = infoRequests.get(videoId);
+
+  if (!info) {
+    info = loadVideoInfo(url, videoId);
+    // Forget failed requests so a later call can retry
+    info.catch(() => infoRequests.delete(videoId));
+    infoRequests.set(videoId, info);
+  }
+
+  return info;
+}
+
+/**
+ * Formats picked for a download
+ * With an audio format, the video format is video-only and both are muxed;
+ * without one, the video format is a progressive format carrying both
+ */
+interface DownloadFormats {
+  video: any;
+  audio?: any;
+  /** Container of the downloaded file */
+  container: 'mp4' | 'mkv';
+}
+
+/**
+ * Check whether a format's codec string starts with one of the given codecs
+ * @param format ytdl-core format
+ * @param codec Codec prefix (e.g. "avc1", "vp9")
+ * @returns True if the codec matches
+ */
+function hasCodec(format: any, codec: string): boolean {
+  return (format.codecs || '')
+    .split(',')
+    .some((name: string) =>
+      name.trim().toLowerCase().startsWith(codec.toLowerCase())
+    );
+}
+
+/**
+ * Sort formats best first: preferred codec, then preferred container,
+ * then resolution, frame rate and bitrate
+ *
+ * @param formats Formats to sort
+ * @param options Download constraints
+ * @returns Sorted copy of the formats
+ */
+function rankFormats(formats: any[], options: DownloadOptions): any[] {
+  const preferCodec = options.preferCodec || [];
+
+  // Formats matching no preferred codec rank after all that do
+  const codecRank = (format: any) => {
+    const index = preferCodec.findIndex((codec) => hasCodec(format, codec));
+    return index === -1 ? preferCodec.length : index;
+  };
+  const containerRank = (format: any) =>
+    options.preferContainer && format.container !== options.preferContainer
+      ? 1
+      : 0;
+
+  return [...formats].sort(
+    (a, b) =>
+      codecRank(a) - codecRank(b) ||
+      containerRank(a) - containerRank(b) ||
+      (b.height || 0) - (a.height || 0) ||
+      (b.fps || 0) - (a.fps || 0) ||
+      (b.audioBitrate || 0) - (a.audioBitrate || 0) ||
+      (b.bitrate || 0) - (a.bitrate || 0)
+  );
+}
+
+/**
+ * Describe download constraints for error messages
+ * @param options Download constraints
+ * @returns e.g. "maxHeight 720, audioBitrateMin 128"
+ */
+function describeConstraints(options: DownloadOptions): string {
+  const parts = [];
+  if (options.maxHeight) {
+    parts.push(`maxHeight ${options.maxHeight}`);
+  }
+  if (options.audioBitrateMin) {
+    parts.push(`audioBitrateMin ${options.audioBitrateMin}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'no constraints';
+}
+
+/**
+ * Get the container of a download
+ * @param video Video or progressive format
+ * @param audio Audio format muxed with the video, if any
+ * @returns mp4 when every stream is MP4, mkv otherwise
+ */
+function getDownloadContainer(
+  video: any,
+  audio?: any
+): DownloadFormats['container'] {
+  // WebM streams (VP9, Opus) go into Matroska, which WebM is a subset of
+  return video.container === 'mp4' && (!audio || audio.container === 'mp4')
+    ? 'mp4'
+    : 'mkv';
+}
+
+/**
+ * Choose the formats to download
+ * Adaptive streams reach far higher resolutions than progressive formats
+ * (usually capped at 720p), so the best video-only and audio-only formats
+ * within the constraints are preferred; progressive formats are the fallback
+ *
+ * @param info ytdl-core video info
+ * @param options Download constraints
+ * @returns The formats and the container of the result
+ */
+function chooseDownloadFormats(
+  info: any,
+  options: DownloadOptions = {}
+): DownloadFormats {
+  // Live and manifest-based formats cannot be downloaded as a file
+  const formats = (info.formats || []).filter(
+    (format: any) => format.url && !format.isHLS && !format.isDashMPD
+  );
+  const videoOnly = formats.filter(
+    (format: any) => format.hasVideo && !format.hasAudio
+  );
+  const audioOnly = formats.filter(
+    (format: any) =>
+      format.hasAudio &&
+      !format.hasVideo &&
+      (format.audioBitrate || 0) >= (options.audioBitrateMin || 0)
+  );
+  const bestAudio = rankFormats(audioOnly, options)[0];
+
+  if (options.itag !== undefined) {
+    const format = formats.find((candidate: any) => {
+      return candidate.itag === options.itag;
+    });
+
+    if (!format) {
+      throw new Error(
+        `No such format: itag ${options.itag} is not available for this video`
+      );
+    }
+
+    // A video-only format still needs an audio stream
+    if (format.hasVideo && !format.hasAudio && bestAudio) {
+      return {
+        video: format,
+        audio: bestAudio,
+        container: getDownloadContainer(format, bestAudio),
+      };
+    }
+
+    return { video: format, container: getDownloadContainer(format) };
+  }
+
+  const fitsHeight = (format: any) =>
+    !options.maxHeight || (format.height || 0) <= options.maxHeight;
+  const bestVideo = rankFormats(videoOnly.filter(fitsHeight), options)[0];
+
+  if (bestVideo && bestAudio) {
+    return {
+      video: bestVideo,
+      audio: bestAudio,
+      container: getDownloadContainer(bestVideo, bestAudio),
+    };
+  }
+
+  logger.info(
+    'No adaptive streams within the download constraints, using a progressive format'
+  );
+
+  const progressive = rankFormats(
+    formats.filter(
+      (format: any) =>
+        format.hasVideo &&
+        format.hasAudio &&
+        fitsHeight(format) &&
+        (format.audioBitrate || 0) >= (options.audioBitrateMin || 0)
+    ),
+    options
+  )[0];
+
+  if (!progressive) {
+    throw new Error(
+      `No such format: no downloadable format matches the download constraints (${describeConstraints(
+        options
+      )})`
+    );
+  }
+
+  return { video: progressive, container: getDownloadContainer(progressive) };
+}
+
+/**
+ * Get the details of a format recorded in summary.json
+ * @param format ytdl-core format
+ * @returns The format details
+ */
+function toMediaFormat(format: any): MediaFormat {
+  return {
+    itag: format.itag,
+    container: format.container,
+    codecs: format.codecs || '',
+    qualityLabel: format.qualityLabel || undefined,
+    height: format.height || undefined,
+    fps: format.fps || undefined,
+    bitrate: format.bitrate || undefined,
+    audioBitrate: format.audioBitrate || undefined,
+  };
+}
+
+/**
+ * Get the size of a format
+ * @param format ytdl-core format
+ * @returns Size in bytes, or undefined if YouTube does not report it
+ */
+function getContentLength(format: any): number | undefined {
+  return parseInt(format?.contentLength || '', 10) || undefined;
+}
+
+/**
+ * Describe a format for logging
+ * @param format ytdl-core format
+ * @returns Quality, container and codecs of the format
+ */
+function describeFormat(format: any): string {
+  const quality = format.qualityLabel || `${format.audioBitrate || '?'}kbps`;
+  return `${quality} ${format.container} ${format.codecs || ''}`.trim();
+}
+
+/**
+ * Download one format into a file and check its size
+ * @param info ytdl-core video info
+ * @param format Format to download
+ * @param filePath Path of the file to write
+ * @param onProgress Called with the downloaded and total byte counts
+ * @param signal Stops the download, e.g. when the download of the other stream failed
+ * @returns Resolves once the file is complete
+ */
+async function downloadFormat(
+  info: any,
+  format: any,
+  filePath: string,
+  onProgress: (downloaded: number, total: number) => void,
+  signal?: AbortSignal
+): Promise<void> {
+  const reportedSize = await new Promise<number>((resolve, reject) => {
+    const videoStream = ytdl.downloadFromInfo(info, { format });
+    const fileStream = fs.createWriteStream(filePath);
+    let total = 0;
+
+    // Destroying both streams ends the transfer; settle once the file is closed
+    const abort = () => {
+      fileStream.once('close', () =>
+        reject(new Error(`Download aborted: ${filePath}`))
+      );
+      videoStream.destroy();
+      fileStream.destroy();
+    };
+    if (signal?.aborted) {
+      abort();
+      return;
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+    fileStream.on('close', () => signal?.removeEventListener('abort', abort));
+
+    videoStream.pipe(fileStream);
+
+    videoStream.on(
+      'progress',
+      (chunkLength: number, downloaded: number, size: number) => {
+        total = size;
+        onProgress(downloaded, size);
+      }
+    );
+
+    fileStream.on('finish', () => resolve(total));
+
+    fileStream.on('error', (err: Error) => {
+      logger.error(`Error writing video file: ${err.message}`);
+      reject(err);
+    });
+
+    videoStream.on('error', (err: Error) => {
+      logger.error(`Error downloading video: ${err.message}`);
+      reject(err);
+    });
+  });
+
+  const expectedSize = getContentLength(format) || reportedSize;
+  const { size } = await fs.stat(filePath);
+
+  if (expectedSize && size !== expectedSize) {
+    await fs.remove(filePath);
+    throw new Error(
+      `Incomplete download: got ${size} of ${expectedSize} bytes (${filePath})`
+    );
+  }
+}
+
+/**
+ * Combine a video-only and an audio-only file into one, without re-encoding
+ * @param videoPath Path of the video stream
+ * @param audioPath Path of the audio stream
+ * @param outputPath Path of the muxed file
+ * @param container Container of the muxed file
+ * @returns Resolves once the file is written
+ */
+function muxStreams(
+  videoPath: string,
+  audioPath: string,
+  outputPath: string,
+  container: DownloadFormats['container']
+): Promise<void> {
+  const outputOptions = ['-map 0:v:0', '-map 1:a:0', '-c copy'];
+  if (container === 'mp4') {
+    outputOptions.push('-movflags faststart');
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(videoPath)
+      .input(audioPath)
+      .outputOptions(outputOptions)
+      // The output has a .part extension, so name the muxer explicitly
+      .format(container === 'mp4' ? 'mp4' : 'matroska')
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        logger.debug(`FFmpeg command: ${commandLine}`);
+      })
+      .on('end', () => resolve())
+      .on('error', (err: Error) => {
+        reject(new Error(`Error muxing video and audio: ${err.message}`));
+      })
+      .run();
+  });
+}
 
 /**
  * Download a YouTube video
  * @param url YouTube video URL
  * @param outputPath Output directory
- * @returns Path to the downloaded video
+ * @param options Download constraints
+ * @param ranges Ranges of the video to download instead of all of it
+ * @returns Path to the downloaded video, the formats it was made from and,
+ * for a partial download, the ranges it holds
  */
 export async function downloadVideo(
   url: string,
-  outputPath: string
-): Promise<string> {
+  outputPath: string,
+  options: DownloadOptions = {},
+  ranges?: MediaRange[]
+): Promise<FetchedMedia> {
   try {
     logger.info(`Starting download for: ${url}`);
 
@@ -39,7 +463,7 @@ export async function downloadVideo(
     await fs.ensureDir(outputPath);
 
     // Get video info
-    const info = await ytdl.getInfo(url);
+    const info = await getVideoInfo(url);
 
     // In dev mode, dump the structure of the response for debugging
     if (config.devMode) {
@@ -60,62 +484,159 @@ export async function downloadVideo(
       `video_${Date.now()}`
     );
 
-    const fileName = `${sanitizedTitle}.mp4`;
-    const filePath = path.join(outputPath, fileName);
+    // Name the file after the video ID, so renaming the video does not
+    // cause a new download
+    const videoId = sanitizeFileName(
+      safeGetNested(info, ['videoDetails', 'videoId'], ''),
+      ''
+    );
+    const formats = chooseDownloadFormats(info, options);
+    const downloaded: FetchedMedia['formats'] = {
+      video: toMediaFormat(formats.video),
+      audio: formats.audio ? toMediaFormat(formats.audio) : undefined,
+    };
+
+    // The itags are part of the name, so changing the download constraints
+    // downloads the matching format instead of reusing another one
+    const itags = [formats.video, formats.audio]
+      .filter(Boolean)
+      .map((format) => format.itag)
+      .join('+');
+    const baseName = `${videoId || sanitizedTitle}.${itags}`;
+
+    // Only the ranges the segments need, falling back to the whole video
+    if (ranges && ranges.length > 0) {
+      const rangesPath = path.join(
+        outputPath,
+        `${baseName}.${getRangesKey(ranges)}.${formats.container}`
+      );
 
-    // Check if file already exists
-    if (await fs.pathExists(filePath)) {
-      logger.info(`Video already downloaded: ${filePath}`);
-      return filePath;
+      try {
+        const partial = await downloadMediaRanges(
+          [formats.video, formats.audio]
+            .filter(Boolean)
+            .map((format) => format.url),
+          ranges,
+          rangesPath,
+          formats.container
+        );
+        return { path: rangesPath, formats: downloaded, ranges: partial };
+      } catch (err) {
+        logger.warn(
+          `Partial download failed, downloading the whole video: ${
+            err instanceof Error ? err.message : String(err)
+          }`
+        );
+      }
     }
 
-    logger.info(`Downloading video: ${sanitizedTitle}`);
-
-    return new Promise((resolve, reject) => {
-      // Get best quality video with audio
-      const format = ytdl.chooseFormat(info.formats, {
-        quality: 'highest',
-        filter: 'audioandvideo',
-      });
+    const fileName = `${baseName}.${formats.container}`;
+    const filePath = path.join(outputPath, fileName);
+    const partPath = `${filePath}.part`;
 
-      // If no format with both audio and video is available, choose highest video quality
-      const videoStream = format
-        ? ytdl.downloadFromInfo(info, { format })
-        : ytdl(url, { quality: 'highest' });
+    // The size of a muxed file is only known for a progressive download
+    const expectedSize = formats.audio
+      ? undefined
+      : getContentLength(formats.video);
 
-      const fileStream = fs.createWriteStream(filePath);
+    // Reuse an existing file only if it is still complete and readable
+    if (await fs.pathExists(filePath)) {
+      try {
+        await verifyDownload(filePath, expectedSize);
+        logger.info(`Video already downloaded: ${filePath}`);
+        return { path: filePath, formats: downloaded };
+      } catch (err) {
+        logger.warn(
+          `Downloaded video is unusable, downloading it again: ${
+            err instanceof Error ? err.message : String(err)
+          }`
+        );
+        await fs.remove(filePath);
+      }
+    }
 
-      let lastPercentage = 0;
+    requireOnline(`video file ${filePath}`);
 
-      videoStream.pipe(fileStream);
+    logger.info(
+      `Downloading video: ${sanitizedTitle} (${describeFormat(formats.video)}${
+        formats.audio ? ` + ${describeFormat(formats.audio)}` : ''
+      })`
+    );
 
-      videoStream.on(
-        'progress',
-        (chunkLength: number, downloaded: number, total: number) => {
-          const percentage = Math.floor((downloaded / total) * 100);
-          // Only log when percentage changes by at least 5%
-          if (percentage >= lastPercentage + 5) {
-            logger.info(`Download progress: ${percentage}%`);
-            lastPercentage = percentage;
+    // Download into .part files so an interrupted download is never taken for a complete one
+    const reportProgress = createProgressReporter();
+
+    if (!formats.audio) {
+      await downloadFormat(info, formats.video, partPath, reportProgress);
+    } else {
+      const videoPartPath = `${filePath}.video.part`;
+      const audioPartPath = `${filePath}.audio.part`;
+
+      // Both streams download at the same time; progress is reported for the pair
+      const downloaded = [0, 0];
+      const totals = [
+        getContentLength(formats.video) || 0,
+        getContentLength(formats.audio) || 0,
+      ];
+      const trackProgress =
+        (stream: number) => (bytes: number, total: number) => {
+          downloaded[stream] = bytes;
+          totals[stream] = total || totals[stream];
+          reportProgress(
+            downloaded[0] + downloaded[1],
+            totals[0] && totals[1] ? totals[0] + totals[1] : 0
+          );
+        };
+
+      // The first failure stops the other download, and the part files are
+      // only removed once both have stopped writing to them
+      const controller = new AbortController();
+      let failure: unknown;
+      const download = (format: any, filePath: string, stream: number) =>
+        downloadFormat(
+          info,
+          format,
+          filePath,
+          trackProgress(stream),
+          controller.signal
+        ).catch((err) => {
+          if (!controller.signal.aborted) {
+            failure = err;
+            controller.abort();
           }
+        });
+
+      try {
+        await Promise.all([
+          download(formats.video, videoPartPath, 0),
+          download(formats.audio, audioPartPath, 1),
+        ]);
+        if (failure) {
+          throw failure;
         }
-      );
 
-      fileStream.on('finish', () => {
-        logger.info(`Download completed: ${fileName}`);
-        resolve(filePath);
-      });
+        logger.info(`Muxing video and audio streams: ${fileName}`);
+        await muxStreams(
+          videoPartPath,
+          audioPartPath,
+          partPath,
+          formats.container
+        );
+      } finally {
+        await Promise.all([fs.remove(videoPartPath), fs.remove(audioPartPath)]);
+      }
+    }
 
-      fileStream.on('error', (err: Error) => {
-        logger.error(`Error writing video file: ${err.message}`);
-        reject(err);
-      });
+    try {
+      await verifyDownload(partPath, expectedSize);
+    } catch (err) {
+      await fs.remove(partPath);
+      throw err;
+    }
 
-      videoStream.on('error', (err: Error) => {
-        logger.error(`Error downloading video: ${err.message}`);
-        reject(err);
-      });
-    });
+    await fs.move(partPath, filePath, { overwrite: true });
+    logger.info(`Download completed: ${fileName}`);
+    return { path: filePath, formats: downloaded };
   } catch (error: unknown) {
     // In development mode, rethrow the error for better debugging
     if (config.devMode) {
@@ -128,20 +649,211 @@ export async function downloadVideo(
   }
 }
 
+/**
+ * Check that a downloaded file is complete and can be read as media
+ * Used before a download is moved into place and before a cached one is reused
+ *
+ * @param filePath Path to the downloaded file
+ * @param expectedSize Expected size in bytes, if known
+ * @returns Resolves if the file is usable, rejects with the reason otherwise
+ */
+export async function verifyDownload(
+  filePath: string,
+  expectedSize?: number
+): Promise<void> {
+  const { size } = await fs.stat(filePath);
+
+  if (size === 0) {
+    throw new Error(`Downloaded file is empty: ${filePath}`);
+  }
+
+  if (expectedSize && size !== expectedSize) {
+    throw new Error(
+      `Incomplete download: got ${size} of ${expectedSize} bytes (${filePath})`
+    );
+  }
+
+  // A truncated or corrupt container usually fails to probe
+  const metadata = await getVideoMetadata(filePath);
+  if (!metadata.streams || metadata.streams.length === 0) {
+    throw new Error(`Downloaded file has no media streams: ${filePath}`);
+  }
+}
+
+/**
+ * Download time ranges of remote media into a file
+ * A previous partial download of the same ranges is reused if it still
+ * passes verification and its ranges were recorded
+ *
+ * @param inputs URLs of the streams (a video and an audio stream, or a single one)
+ * @param ranges Ranges of the source media, in timeline order
+ * @param filePath Path of the partial download
+ * @param container Container of the file
+ * @returns Where each range lies in the file
+ */
+export async function downloadMediaRanges(
+  inputs: string[],
+  ranges: MediaRange[],
+  filePath: string,
+  container: 'mp4' | 'mkv'
+): Promise<PartialRange[]> {
+  if (await fs.pathExists(filePath)) {
+    try {
+      const recorded = await readPartialRanges(filePath);
+      if (!recorded) {
+        throw new Error(`ranges of ${filePath} were not recorded`);
+      }
+      await verifyDownload(filePath);
+      logger.info(`Ranges already downloaded: ${filePath}`);
+      return recorded;
+    } catch (err) {
+      logger.warn(
+        `Partial download is unusable, downloading it again: ${
+          err instanceof Error ? err.message : String(err)
+        }`
+      );
+      await fs.remove(filePath);
+    }
+  }
+
+  requireOnline(`partial download ${filePath}`);
+
+  // Written to a .part file first, like full downloads
+  const partPath = `${filePath}.part`;
+  let partial: PartialRange[];
+
+  try {
+    partial = await downloadRanges(inputs, ranges, partPath, container);
+    await verifyDownload(partPath);
+  } catch (err) {
+    await fs.remove(partPath);
+    throw err;
+  }
+
+  await writePartialRanges(filePath, partial);
+  await fs.move(partPath, filePath, { overwrite: true });
+  logger.info(`Partial download completed: ${path.basename(filePath)}`);
+  return partial;
+}
+
+/**
+ * Get the URLs of the formats a download would choose, for ffmpeg to read as they stream
+ * @param url YouTube video URL
+ * @param options Download constraints
+ * @returns The video and audio stream URLs, or the URL of a single format
+ * holding both
+ */
+export async function getStreamUrls(
+  url: string,
+  options: DownloadOptions = {}
+): Promise<string[]> {
+  if (!ytdl.validateURL(url)) {
+    throw new Error(`Invalid YouTube URL: ${url}`);
+  }
+
+  // Stream URLs are only valid while online
+  requireOnline(`streaming ${url}`);
+
+  const formats = chooseDownloadFormats(await getVideoInfo(url), options);
+  logger.info(
+    `Streaming ${describeFormat(formats.video)}${
+      formats.audio ? ` + ${describeFormat(formats.audio)}` : ''
+    }`
+  );
+
+  return formats.audio
+    ? [formats.video.url, formats.audio.url]
+    : [formats.video.url];
+}
+
+/**
+ * Create a callback that logs download progress
+ * Shared by every download path so they all report progress the same way
+ *
+ * @returns Callback receiving the downloaded and total byte counts
+ */
+export function createProgressReporter(): (
+  downloaded: number,
+  total: number
+) => void {
+  let lastPercentage = 0;
+
+  return (downloaded: number, total: number) => {
+    if (!total) {
+      return;
+    }
+
+    const percentage = Math.floor((downloaded / total) * 100);
+    // Only log when percentage changes by at least 5%
+    if (percentage >= lastPercentage + 5) {
+      logger.info(`Download progress: ${percentage}%`);
+      lastPercentage = percentage;
+    }
+  };
+}
+
+/**
+ * Check whether a URL points to a YouTube video
+ * @param url URL to check
+ * @returns True if ytdl-core can handle the URL
+ */
+export function isYouTubeUrl(url: string): boolean {
+  return ytdl.validateURL(url);
+}
+
+/**
+ * Find the largest thumbnail of a YouTube video
+ * @param info ytdl-core video info
+ * @returns URL of the thumbnail, or undefined if the video has none
+ */
+function getLargestThumbnail(info: any): string | undefined {
+  const thumbnails: any[] = safeGetNested(
+    info,
+    ['videoDetails', 'thumbnails'],
+    []
+  );
+  const largest = thumbnails
+    .filter((thumbnail) => thumbnail && thumbnail.url)
+    .sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+
+  return largest ? largest.url : undefined;
+}
+
+/**
+ * Resolve the metadata of a YouTube video
+ * @param url YouTube video URL
+ * @returns Video ID, title, duration, channel and thumbnail
+ */
+export async function getYouTubeMetadata(url: string): Promise<SourceMetadata> {
+  const info = await getVideoInfo(url);
+
+  return {
+    id: safeGetNested(info, ['videoDetails', 'videoId'], ''),
+    title: safeGetNested(info, ['videoDetails', 'title'], ''),
+    duration: parseInt(
+      safeGetNested(info, ['videoDetails', 'lengthSeconds'], '0'),
+      10
+    ),
+    author:
+      safeGetNested(info, ['videoDetails', 'author', 'name'], '') ||
+      safeGetNested(info, ['videoDetails', 'ownerChannelName'], '') ||
+      undefined,
+    thumbnail: getLargestThumbnail(info),
+  };
+}
+
 /**
  * Detect chapters in a YouTube video
+ * Falls back to timestamps listed in the description when the video has no chapters
+ *
  * @param url YouTube video URL
- * @returns Array of detected segments
+ * @returns Detected segments and where they were found
  */
-export async function detectVideoChapters(url: string): Promise<Segment[]> {
+export async function detectVideoChapters(url: string): Promise<ChapterList> {
   try {
     logger.info(`Detecting chapters for video: ${url}`);
 
-    if (!ytdl.validateURL(url)) {
-      throw new Error(`Invalid YouTube URL: ${url}`);
-    }
-
-    const info = await ytdl.getInfo(url);
+    const info = await getVideoInfo(url);
 
     // In dev mode, debug the chapters structure
     if (config.devMode) {
@@ -152,14 +864,31 @@ export async function detectVideoChapters(url: string): Promise<Segment[]> {
     const chapters = safeGetNested(info, ['videoDetails', 'chapters'], []);
 
     if (chapters.length === 0) {
+      logger.info('No chapters detected, checking the video description');
+
+      const descriptionChapters = parseDescriptionChapters(
+        safeGetNested(info, ['videoDetails', 'description'], ''),
+        parseInt(
+          safeGetNested(info, ['videoDetails', 'lengthSeconds'], '0'),
+          10
+        )
+      );
+
+      if (descriptionChapters.length > 0) {
+        logger.info(
+          `Detected ${descriptionChapters.length} chapters in the video description`
+        );
+        return { segments: descriptionChapters, source: 'description' };
+      }
+
       logger.info('No chapters detected in the video');
-      return [];
+      return { segments: [], source: 'none' };
     }
 
     logger.info(`Detected ${chapters.length} chapters in the video`);
 
     // Use type assertion for the entire chapters array since the interface may not be complete
-    return chapters.map((chapter: any, index: number) => {
+    const segments = chapters.map((chapter: any, index: number) => {
       // Get the chapter data with type assertion to avoid TypeScript errors
       const chapterData = chapter as any;
 
@@ -190,10 +919,12 @@ export async function detectVideoChapters(url: string): Promise<Segment[]> {
 
       return {
         name: chapterTitle,
-        start: formatSeconds(chapterData.start_time || 0),
-        end: formatSeconds(endTime),
+        start: formatTimestamp(chapterData.start_time || 0),
+        end: formatTimestamp(endTime),
       };
     });
+
+    return { segments, source: 'chapters' };
   } catch (error: unknown) {
     // In development mode, rethrow the error for better debugging
     if (config.devMode) {
@@ -207,18 +938,3 @@ export async function detectVideoChapters(url: string): Promise<Segment[]> {
     throw error;
   }
 }
-
-/**
- * Format seconds as HH:MM:SS
- * @param seconds Number of seconds
- * @returns Formatted timestamp
- */
-function formatSeconds(seconds: number): string {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-
-  return `${hours.toString().padStart(2, '0')}:${minutes
-    .toString()
-    .padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-}
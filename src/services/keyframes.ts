@@ -0,0 +1,128 @@
+import { execFile } from 'child_process';
+import logger from './logger';
+
+// Keyframe positions of every input read so far; each input is only scanned once
+const keyframeCache = new Map<string, Promise<number[]>>();
+
+// Times closer than this to a keyframe count as being on it (pts_time has microsecond precision)
+export const KEYFRAME_EPSILON = 0.001;
+
+/**
+ * Scan the packets of the first video stream for keyframes
+ * Only the container is read, nothing is decoded. Packet times are counted
+ * from the start time of the file, the origin `-ss` seeks from, so sources
+ * that do not start at 0 (MPEG-TS, partial downloads joined with `-copyts`)
+ * line up with the segment times.
+ *
+ * @param inputPath Path to the media file
+ * @returns Keyframe times in seconds from the start of the media, in increasing order
+ */
+function scanKeyframes(inputPath: string): Promise<number[]> {
+  const args = [
+    '-v',
+    'error',
+    '-select_streams',
+    'v:0',
+    '-show_entries',
+    'packet=pts_time,flags:format=start_time',
+    '-of',
+    'csv',
+    inputPath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.env.FFPROBE_PATH || 'ffprobe',
+      args,
+      { maxBuffer: 256 * 1024 * 1024 },
+      (err, stdout) => {
+        if (err) {
+          reject(new Error(`Error reading keyframes: ${err.message}`));
+          return;
+        }
+
+        // Lines are `packet,<pts_time>,<flags>` and `format,<start_time>`
+        const rows = stdout.split(/\r?\n/).map((line) => line.split(','));
+        const format = rows.find(([section]) => section === 'format');
+        const startTime = format ? parseFloat(format[1]) : 0;
+        const offset = Number.isFinite(startTime) ? startTime : 0;
+
+        const keyframes = rows
+          .filter(
+            ([section, time, flags]) =>
+              section === 'packet' && flags?.includes('K') && time !== 'N/A'
+          )
+          // Keep the microsecond precision of pts_time, without float noise
+          .map(
+            ([, time]) => Math.round((parseFloat(time) - offset) * 1e6) / 1e6
+          )
+          .filter((time) => Number.isFinite(time))
+          .sort((a, b) => a - b);
+
+        resolve(keyframes);
+      }
+    );
+  });
+}
+
+/**
+ * Get the keyframe positions of a media file
+ * @param inputPath Path to the media file
+ * @returns Keyframe times in seconds from the start of the media, in increasing order
+ */
+export function getKeyframes(inputPath: string): Promise<number[]> {
+  let keyframes = keyframeCache.get(inputPath);
+
+  if (!keyframes) {
+    logger.debug(`Reading keyframe positions of ${inputPath}`);
+    keyframes = scanKeyframes(inputPath);
+    // Forget failed scans so a later call can retry
+    keyframes.catch(() => keyframeCache.delete(inputPath));
+    keyframeCache.set(inputPath, keyframes);
+  }
+
+  return keyframes;
+}
+
+/**
+ * Find the first keyframe at or after a time
+ * @param keyframes Keyframe times in increasing order
+ * @param time Time in seconds
+ * @returns The keyframe time, or null if there is none
+ */
+export function findNextKeyframe(
+  keyframes: number[],
+  time: number
+): number | null {
+  const keyframe = keyframes.find(
+    (candidate) => candidate >= time - KEYFRAME_EPSILON
+  );
+  return keyframe === undefined ? null : keyframe;
+}
+
+/**
+ * Find the keyframe closest to a time, before or after it
+ * @param keyframes Keyframe times in increasing order
+ * @param time Time in seconds
+ * @returns The keyframe time, or null if there are no keyframes
+ */
+export function findNearestKeyframe(
+  keyframes: number[],
+  time: number
+): number | null {
+  let nearest: number | null = null;
+
+  for (const keyframe of keyframes) {
+    if (
+      nearest === null ||
+      Math.abs(keyframe - time) < Math.abs(nearest - time)
+    ) {
+      nearest = keyframe;
+    } else if (keyframe > time) {
+      // Keyframes are sorted, so every later one is further away
+      break;
+    }
+  }
+
+  return nearest;
+}
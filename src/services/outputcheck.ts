@@ -0,0 +1,196 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { execFile } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { OutputFormat } from './processor';
+import { roundSeconds } from '../utils/timestamp';
+
+// Difference between the requested and the written duration accepted
+// silently, since cuts land on frame and packet boundaries
+export const DURATION_TOLERANCE = 1;
+
+/**
+ * What a segment file is expected to contain
+ */
+export interface SegmentExpectation {
+  /** Requested duration in seconds */
+  duration: number;
+  /** Accepted difference in seconds; defaults to DURATION_TOLERANCE */
+  tolerance?: number;
+  format: OutputFormat;
+  audioOnly: boolean;
+}
+
+/**
+ * Probe a file for its duration
+ * @param filePath Path to the media file
+ * @returns Duration in seconds, or null if the container does not report one
+ */
+function probeDuration(filePath: string): Promise<number | null> {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`cannot be read by ffprobe: ${err.message}`));
+        return;
+      }
+
+      const duration = Number(metadata.format.duration);
+      resolve(duration > 0 ? duration : null);
+    });
+  });
+}
+
+/**
+ * Decode the first frame of the main stream, stopping at the first error
+ * @param filePath Path to the media file
+ * @param audioOnly Whether the file only holds audio
+ * @returns Resolves if the frame decodes
+ */
+function decodeFirstFrame(filePath: string, audioOnly: boolean): Promise<void> {
+  const stream = audioOnly ? 'a' : 'v';
+  const args = [
+    '-v',
+    'error',
+    '-xerror',
+    '-i',
+    filePath,
+    '-map',
+    `0:${stream}:0`,
+    `-frames:${stream}`,
+    '1',
+    '-f',
+    'null',
+    '-',
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegStatic as string, args, (err, stdout, stderr) => {
+      if (err) {
+        const detail = stderr.trim().split(/\r?\n/)[0] || err.message;
+        reject(new Error(`first frame cannot be decoded: ${detail}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Check that the moov atom of an MP4 file comes before its media data,
+ * so players can start before the whole file is read
+ *
+ * @param filePath Path to the MP4 file
+ * @returns True if the moov atom is found before the mdat atom
+ */
+async function hasMoovAtFront(filePath: string): Promise<boolean> {
+  const fd = await fs.open(filePath, 'r');
+
+  try {
+    const { size } = await fs.fstat(fd);
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    // Walk the top-level boxes: 32-bit size, type, then an optional 64-bit size
+    while (offset + 8 <= size) {
+      await fs.read(fd, header, 0, header.length, offset);
+      const type = header.toString('latin1', 4, 8);
+
+      if (type === 'moov') {
+        return true;
+      }
+      if (type === 'mdat') {
+        return false;
+      }
+
+      let boxSize = header.readUInt32BE(0);
+      if (boxSize === 1) {
+        boxSize = Number(header.readBigUInt64BE(8));
+      } else if (boxSize === 0) {
+        // The box runs to the end of the file
+        return false;
+      }
+
+      if (boxSize < 8) {
+        return false;
+      }
+      offset += boxSize;
+    }
+
+    return false;
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Check that a segment file was written completely
+ * - the duration is within the tolerance of the requested one
+ * - the first frame of the main stream decodes
+ * - for MP4 and M4A, the moov atom is at the front of the file
+ *
+ * @param filePath Path to the segment file
+ * @param expected What the segment should contain
+ * @returns Resolves if the file is usable, rejects with the reason otherwise
+ */
+export async function verifySegmentFile(
+  filePath: string,
+  expected: SegmentExpectation
+): Promise<void> {
+  const fail = (reason: string) =>
+    new Error(`Invalid segment file ${filePath}: ${reason}`);
+
+  const { size } = await fs.stat(filePath);
+  if (size === 0) {
+    throw fail('file is empty');
+  }
+
+  let duration: number | null;
+  try {
+    duration = await probeDuration(filePath);
+  } catch (err) {
+    throw fail(err instanceof Error ? err.message : String(err));
+  }
+
+  if (duration === null) {
+    throw fail('duration is unknown');
+  }
+
+  const tolerance = expected.tolerance ?? DURATION_TOLERANCE;
+  const difference = roundSeconds(Math.abs(duration - expected.duration));
+  if (difference > tolerance) {
+    throw fail(
+      `duration is ${roundSeconds(duration)}s, expected ${
+        expected.duration
+      }s (tolerance ${tolerance}s)`
+    );
+  }
+
+  try {
+    await decodeFirstFrame(filePath, expected.audioOnly);
+  } catch (err) {
+    throw fail(err instanceof Error ? err.message : String(err));
+  }
+
+  if (
+    (expected.format === 'mp4' || expected.format === 'm4a') &&
+    !(await hasMoovAtFront(filePath))
+  ) {
+    throw fail('moov atom is not at the front of the file');
+  }
+}
+
+/**
+ * Get the path a segment is written to before it is validated
+ * The format extension is kept last so ffmpeg still picks the right muxer
+ *
+ * @param outputPath Final path of the segment
+ * @returns Temporary path next to it
+ */
+export function getPartialPath(outputPath: string): string {
+  const extension = path.extname(outputPath);
+  return path.join(
+    path.dirname(outputPath),
+    `${path.basename(outputPath, extension)}.part${extension}`
+  );
+}
@@ -0,0 +1,383 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+import path from 'path';
+import { MediaRange, PartialRange, Segment, VideoConfig } from '../types';
+import logger from './logger';
+import config from '../config';
+import {
+  formatTimestamp,
+  resolveSegmentTimes,
+  roundSeconds,
+} from '../utils/timestamp';
+import { getVideoMetadata, SegmentationResult } from './processor';
+
+// Ranges covering more of the video than this are not worth a partial download
+const MAX_COVERAGE = 0.5;
+
+/**
+ * Compute the ranges of a video to download instead of the whole media
+ * Only segment lists can be planned before the download; each segment is
+ * padded on both sides and overlapping ranges are merged
+ *
+ * @param video Video configuration
+ * @param duration Duration of the source media, as resolved by the provider
+ * @returns The ranges, or null if the whole media should be downloaded
+ */
+export function planPartialDownload(
+  video: VideoConfig,
+  duration?: number
+): MediaRange[] | null {
+  const spec = video.segments;
+
+  if (!Array.isArray(spec) || spec.length === 0) {
+    logger.debug('Partial downloads need a segment list, downloading it all');
+    return null;
+  }
+
+  if (!duration) {
+    logger.debug('Source duration unknown, downloading the whole video');
+    return null;
+  }
+
+  const times = spec.map((segment, index) =>
+    resolveSegmentTimes(segment, index, duration)
+  );
+
+  // Segments reaching past the end are left to the range policy, which
+  // needs the whole media
+  if (times.some((segment) => segment.end > duration)) {
+    logger.debug('Segments reach past the end, downloading the whole video');
+    return null;
+  }
+
+  const padding = config.partialPadding;
+  const padded = times
+    .map((segment) => ({
+      start: roundSeconds(Math.max(0, segment.start - padding)),
+      end: roundSeconds(Math.min(duration, segment.end + padding)),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const ranges: MediaRange[] = [];
+  for (const range of padded) {
+    const last = ranges[ranges.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      ranges.push({ ...range });
+    }
+  }
+
+  const covered = ranges.reduce(
+    (total, range) => total + range.end - range.start,
+    0
+  );
+  if (covered > duration * MAX_COVERAGE) {
+    logger.info(
+      `Segments cover ${Math.round(
+        (covered / duration) * 100
+      )}% of the video, downloading it all`
+    );
+    return null;
+  }
+
+  return ranges;
+}
+
+/**
+ * Build a short name for a set of ranges, used in file names
+ * @param ranges Ranges of the source media
+ * @returns e.g. "r95-290_3595-3790" (whole seconds)
+ */
+export function getRangesKey(ranges: MediaRange[]): string {
+  return `r${ranges
+    .map((range) => `${Math.floor(range.start)}-${Math.ceil(range.end)}`)
+    .join('_')}`;
+}
+
+/**
+ * Get the path of the sidecar file recording where each range lies in a partial download
+ * @param filePath Path of the partial download
+ * @returns Path of the sidecar file
+ */
+function getRangesPath(filePath: string): string {
+  return `${filePath}.ranges.json`;
+}
+
+/**
+ * Read the ranges recorded for a partial download
+ * @param filePath Path of the partial download
+ * @returns The ranges, or null if none were recorded
+ */
+export async function readPartialRanges(
+  filePath: string
+): Promise<PartialRange[] | null> {
+  try {
+    const ranges = await fs.readJSON(getRangesPath(filePath));
+    return Array.isArray(ranges) && ranges.length > 0 ? ranges : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Copy one time range of remote streams into a file, keeping the source timestamps
+ * @param inputs URLs of the streams; every stream of the first is kept,
+ * and the audio of the second when there is one
+ * @param range Range of the source media
+ * @param outputPath Path of the Matroska file to write
+ * @returns Resolves once the file is written
+ */
+function copyRange(
+  inputs: string[],
+  range: MediaRange,
+  outputPath: string
+): Promise<void> {
+  const command = ffmpeg();
+
+  // Input seeking makes ffmpeg request only the bytes around the range
+  for (const input of inputs) {
+    command
+      .input(input)
+      .inputOptions([
+        `-ss ${range.start}`,
+        `-t ${roundSeconds(range.end - range.start)}`,
+      ]);
+  }
+
+  const maps = inputs.length > 1 ? ['-map 0:v:0', '-map 1:a:0'] : ['-map 0'];
+
+  return new Promise((resolve, reject) => {
+    command
+      // Keep the source timestamps, so the start of the file tells where
+      // the keyframe the copy begins at lies in the source
+      .outputOptions([...maps, '-c copy', '-copyts'])
+      .format('matroska')
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        logger.debug(`FFmpeg command: ${commandLine}`);
+      })
+      .on('end', () => resolve())
+      .on('error', (err: Error) => {
+        reject(
+          new Error(
+            `Error downloading ${formatTimestamp(
+              range.start
+            )} - ${formatTimestamp(range.end)}: ${err.message}`
+          )
+        );
+      })
+      .run();
+  });
+}
+
+/**
+ * Join range files into one file, without re-encoding
+ * @param files Range files, in timeline order
+ * @param outputPath Path of the joined file
+ * @param container Container of the joined file
+ * @returns Resolves once the file is written
+ */
+async function joinRanges(
+  files: string[],
+  outputPath: string,
+  container: 'mp4' | 'mkv'
+): Promise<void> {
+  const listPath = `${outputPath}.ffconcat`;
+  await fs.writeFile(
+    listPath,
+    `ffconcat version 1.0\n${files
+      .map((file) => `file '${path.resolve(file).replace(/'/g, "'\\''")}'`)
+      .join('\n')}\n`
+  );
+
+  const outputOptions = ['-map 0', '-c copy'];
+  if (container === 'mp4') {
+    outputOptions.push('-movflags faststart');
+  }
+
+  try {
+    await new Promise<void>((resolve, reject) => {
+      ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f concat', '-safe 0'])
+        .outputOptions(outputOptions)
+        .format(container === 'mp4' ? 'mp4' : 'matroska')
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          logger.debug(`FFmpeg command: ${commandLine}`);
+        })
+        .on('end', () => resolve())
+        .on('error', (err: Error) => {
+          reject(new Error(`Error joining ranges: ${err.message}`));
+        })
+        .run();
+    });
+  } finally {
+    await fs.remove(listPath);
+  }
+}
+
+/**
+ * Download time ranges of remote media into one file
+ * Each range is copied from the nearest keyframe before its start, so the
+ * actual start of every range is probed and returned with its position in
+ * the file
+ *
+ * @param inputs URLs of the streams (a video and an audio stream, or a single one)
+ * @param ranges Ranges of the source media, in timeline order
+ * @param outputPath Path of the file to write; the format is named explicitly
+ * @param container Container of the file
+ * @returns Where each range lies in the file
+ */
+export async function downloadRanges(
+  inputs: string[],
+  ranges: MediaRange[],
+  outputPath: string,
+  container: 'mp4' | 'mkv'
+): Promise<PartialRange[]> {
+  const rangeFiles = ranges.map((range, index) => `${outputPath}.${index}.mkv`);
+
+  try {
+    const partial: PartialRange[] = [];
+    let offset = 0;
+
+    // One range at a time, to stay gentle with the server
+    for (let index = 0; index < ranges.length; index++) {
+      const range = ranges[index];
+      logger.info(
+        `Downloading range ${index + 1}/${ranges.length}: ${formatTimestamp(
+          range.start
+        )} - ${formatTimestamp(range.end)}`
+      );
+      await copyRange(inputs, range, rangeFiles[index]);
+
+      const { format } = await getVideoMetadata(rangeFiles[index]);
+      const start = Number(format.start_time);
+      const duration = Number(format.duration);
+      if (!(duration > 0)) {
+        throw new Error(
+          `Downloaded range ${formatTimestamp(range.start)} - ${formatTimestamp(
+            range.end
+          )} is empty`
+        );
+      }
+
+      // The concat demuxer lays the files end to end by their duration
+      partial.push({
+        start: roundSeconds(Number.isFinite(start) ? start : range.start),
+        end: range.end,
+        offset: roundSeconds(offset),
+      });
+      offset += duration;
+    }
+
+    await joinRanges(rangeFiles, outputPath, container);
+    return partial;
+  } finally {
+    await Promise.all(rangeFiles.map((file) => fs.remove(file)));
+  }
+}
+
+/**
+ * Record where each range lies in a partial download
+ * @param filePath Path of the partial download
+ * @param ranges Ranges returned by `downloadRanges`
+ */
+export async function writePartialRanges(
+  filePath: string,
+  ranges: PartialRange[]
+): Promise<void> {
+  await fs.writeJSON(getRangesPath(filePath), ranges, { spaces: 2 });
+}
+
+/**
+ * Map a time of the source media onto a partial download
+ * @param seconds Time in the source media
+ * @param ranges Ranges held by the partial download
+ * @returns Time in the partial download
+ */
+function toPartialTime(seconds: number, ranges: PartialRange[]): number {
+  const range = ranges.find(
+    (candidate) => seconds >= candidate.start && seconds <= candidate.end
+  );
+
+  if (!range) {
+    throw new Error(
+      `${formatTimestamp(seconds)} is not part of the downloaded ranges`
+    );
+  }
+
+  return roundSeconds(range.offset + seconds - range.start);
+}
+
+/**
+ * Map a time of a partial download back onto the source media
+ * @param seconds Time in the partial download
+ * @param ranges Ranges held by the partial download
+ * @returns Time in the source media
+ */
+function toSourceTime(seconds: number, ranges: PartialRange[]): number {
+  // The last range starting at or before the time holds it
+  const range = [...ranges]
+    .reverse()
+    .find((candidate) => candidate.offset <= seconds);
+
+  return roundSeconds(range ? range.start + seconds - range.offset : seconds);
+}
+
+/**
+ * Map segments of the source media onto a partial download
+ * @param segments Segments of the source media
+ * @param ranges Ranges held by the partial download
+ * @param duration Duration of the source media, for times counted from the end
+ * @returns The segments with times in the partial download
+ */
+export function toPartialSegments(
+  segments: Segment[],
+  ranges: PartialRange[],
+  duration?: number
+): Segment[] {
+  return segments.map((segment, index) => {
+    const times = resolveSegmentTimes(segment, index, duration);
+    return {
+      name: segment.name,
+      start: formatTimestamp(toPartialTime(times.start, ranges)),
+      end: formatTimestamp(toPartialTime(times.end, ranges)),
+    };
+  });
+}
+
+/**
+ * Map the outcome of segmenting a partial download back onto the source media
+ * @param result Outcome of segmenting the partial download
+ * @param ranges Ranges held by the partial download
+ * @param duration Duration of the source media, when known
+ * @returns The outcome with source times
+ */
+export function toSourceSegmentation(
+  result: SegmentationResult,
+  ranges: PartialRange[],
+  duration?: number
+): SegmentationResult {
+  const toSource = (seconds: number) => toSourceTime(seconds, ranges);
+
+  return {
+    ...result,
+    mediaDuration: duration ?? result.mediaDuration,
+    segments: result.segments.map((segment) => ({
+      ...segment,
+      start: toSource(segment.start),
+      end: toSource(segment.end),
+    })),
+    gaps: result.gaps.map((gap) => ({
+      start: toSource(gap.start),
+      end: toSource(gap.end),
+    })),
+    overlaps: result.overlaps.map((overlap) => ({
+      ...overlap,
+      start: toSource(overlap.start),
+      end: toSource(overlap.end),
+    })),
+  };
+}
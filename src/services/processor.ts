@@ -2,45 +2,273 @@ import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import path from 'path';
 import fs from 'fs-extra';
-import { Segment } from '../types';
+import { CutMode, RangePolicy, Segment } from '../types';
 import logger from './logger';
 import { sanitizeFileName, safeReplace } from '../utils/string';
 import { isDefined, safeGet } from '../utils/guards';
 import config from '../config';
 import { debugDump } from '../utils/debug';
+import { formatTimestamp, roundSeconds } from '../utils/timestamp';
+import { PlannedSegment, planSegments, SegmentPlan } from './segments/timeline';
+import { smartCutSegment } from './smartcut';
+import { getKeyframes } from './keyframes';
+import { CutDecision, decideCut } from './cutmode';
+import { mapWithConcurrency } from '../utils/concurrency';
+import {
+  AudioEncoding,
+  AudioFormat,
+  AudioTags,
+  getAudioOutputOptions,
+  getAudioTagOptions,
+  isAudioFormat,
+  supportsCoverArt,
+  TrackTags,
+} from './audio';
+import {
+  DURATION_TOLERANCE,
+  getPartialPath,
+  verifySegmentFile,
+} from './outputcheck';
 
 // Configure ffmpeg
 ffmpeg.setFfmpegPath(ffmpegStatic as string);
 
 /**
  * Output format options for video segmentation
+ * Audio formats are written without video, with tags and cover art
  */
-export type OutputFormat = 'mp4' | 'mkv' | 'webm' | 'ts';
+export type OutputFormat = 'mp4' | 'mkv' | 'webm' | 'ts' | AudioFormat;
 
 /**
  * Options for video segmentation
  */
-export interface SegmentOptions {
+export interface SegmentOptions extends AudioEncoding {
   format?: OutputFormat;
   quality?: 'high' | 'medium' | 'low';
   forceEncode?: boolean;
   audioOnly?: boolean;
+  rangePolicy?: RangePolicy;
+  cutMode?: CutMode;
+  /** Largest distance in seconds a start may be moved to reach a keyframe */
+  snapTolerance?: number;
+  /** Tags and cover art written to audio formats */
+  tags?: AudioTags;
+}
+
+/**
+ * Outcome of a single segment
+ */
+export interface SegmentResult extends PlannedSegment {
+  /** Path of the segment file; empty when the segment was skipped */
+  path: string;
+  /** How the segment was cut; absent when it was skipped or already existed */
+  cut?: CutDecision;
+}
+
+/**
+ * Outcome of segmenting a video
+ */
+export interface SegmentationResult extends SegmentPlan {
+  segments: SegmentResult[];
+}
+
+/**
+ * Get the ffmpeg output options of a segment
+ * @param selectedFormat Output format
+ * @param selectedQuality Encoding quality (high, medium or low)
+ * @param useStreamCopy Whether the streams are copied instead of encoded
+ * @param audioOnly Whether only the audio is kept
+ * @param audioEncoding Bitrate or VBR quality of audio formats
+ * @returns The output options
+ */
+export function getOutputOptions(
+  selectedFormat: OutputFormat,
+  selectedQuality: string,
+  useStreamCopy: boolean,
+  audioOnly: boolean,
+  audioEncoding: AudioEncoding = {}
+): string[] {
+  // Audio formats are always encoded
+  if (isAudioFormat(selectedFormat)) {
+    return getAudioOutputOptions(
+      selectedFormat,
+      selectedQuality,
+      audioEncoding
+    );
+  }
+
+  if (useStreamCopy) {
+    switch (selectedFormat) {
+      case 'mp4':
+        return ['-c copy', '-movflags faststart', '-avoid_negative_ts 1'];
+      case 'mkv':
+        return ['-c copy'];
+      case 'webm':
+        // WebM doesn't support stream copy well for all sources, defaulting to encoding
+        return ['-c:v libvpx-vp9', '-c:a libopus', '-b:v 1M', '-cpu-used 2'];
+      case 'ts':
+        return ['-c copy', '-mpegts_flags +resend_headers'];
+      default:
+        return ['-c copy'];
+    }
+  }
+
+  // If we're encoding (not stream copying)
+  if (audioOnly) {
+    switch (selectedFormat) {
+      case 'mp4':
+        return ['-vn', '-c:a aac', '-b:a 128k', '-movflags faststart'];
+      case 'mkv':
+        return ['-vn', '-c:a libopus', '-b:a 128k'];
+      case 'webm':
+        return ['-vn', '-c:a libopus', '-b:a 128k'];
+      case 'ts':
+        return ['-vn', '-c:a aac', '-b:a 128k'];
+      default:
+        return ['-vn', '-c:a aac', '-b:a 128k'];
+    }
+  }
+
+  // Video encoding options
+  const qualitySettings = {
+    high: {
+      mp4: [
+        '-c:v libx264',
+        '-crf 18',
+        '-preset medium',
+        '-c:a aac',
+        '-b:a 192k',
+        '-movflags faststart',
+      ],
+      mkv: [
+        '-c:v libx264',
+        '-crf 18',
+        '-preset medium',
+        '-c:a libopus',
+        '-b:a 192k',
+      ],
+      webm: [
+        '-c:v libvpx-vp9',
+        '-crf 20',
+        '-b:v 2M',
+        '-c:a libopus',
+        '-b:a 128k',
+      ],
+      ts: [
+        '-c:v libx264',
+        '-crf 18',
+        '-preset medium',
+        '-c:a aac',
+        '-b:a 192k',
+      ],
+    },
+    medium: {
+      mp4: [
+        '-c:v libx264',
+        '-crf 22',
+        '-preset fast',
+        '-c:a aac',
+        '-b:a 128k',
+        '-movflags faststart',
+      ],
+      mkv: [
+        '-c:v libx264',
+        '-crf 22',
+        '-preset fast',
+        '-c:a libopus',
+        '-b:a 128k',
+      ],
+      webm: [
+        '-c:v libvpx-vp9',
+        '-crf 30',
+        '-b:v 1M',
+        '-c:a libopus',
+        '-b:a 96k',
+        '-cpu-used 2',
+      ],
+      ts: ['-c:v libx264', '-crf 22', '-preset fast', '-c:a aac', '-b:a 128k'],
+    },
+    low: {
+      mp4: [
+        '-c:v libx264',
+        '-crf 28',
+        '-preset ultrafast',
+        '-c:a aac',
+        '-b:a 96k',
+        '-movflags faststart',
+      ],
+      mkv: [
+        '-c:v libx264',
+        '-crf 28',
+        '-preset ultrafast',
+        '-c:a libopus',
+        '-b:a 96k',
+      ],
+      webm: [
+        '-c:v libvpx-vp9',
+        '-crf 35',
+        '-b:v 500k',
+        '-c:a libopus',
+        '-b:a 64k',
+        '-cpu-used 4',
+      ],
+      ts: [
+        '-c:v libx264',
+        '-crf 28',
+        '-preset ultrafast',
+        '-c:a aac',
+        '-b:a 96k',
+      ],
+    },
+  };
+
+  return qualitySettings[selectedQuality as keyof typeof qualitySettings][
+    selectedFormat
+  ];
+}
+
+/**
+ * Get the output file of every segment, named after the segment
+ * @param segments Segments to cut
+ * @param outputDir Output directory for segments
+ * @param format Output format
+ * @returns Output paths, in segment order
+ */
+export function getSegmentOutputPaths(
+  segments: Segment[],
+  outputDir: string,
+  format: OutputFormat
+): string[] {
+  // Format-specific settings
+  const formatExtension = format === 'ts' ? '.ts' : `.${format}`;
+
+  return segments.map((segment, index) =>
+    path.join(
+      outputDir,
+      `${sanitizeFileName(
+        safeGet(segment, 'name', `segment_${index + 1}`),
+        `segment_${index + 1}`
+      )}${formatExtension}`
+    )
+  );
 }
 
 /**
  * Segment a video into multiple parts based on provided timestamps
+ * The input is probed first so segments can be checked against its duration
+ *
  * @param inputPath Path to the input video file
  * @param outputDir Output directory for segments
  * @param segments Array of segments to extract
  * @param options Segmentation options
- * @returns Array of paths to the segmented videos
+ * @returns The effective times and output path of every segment, in input order
  */
 export async function segmentVideo(
   inputPath: string,
   outputDir: string,
   segments: Segment[],
   options: SegmentOptions = {}
-): Promise<string[]> {
+): Promise<SegmentationResult> {
   try {
     logger.info(`Starting video segmentation for: ${inputPath}`);
 
@@ -48,157 +276,13 @@ export async function segmentVideo(
     const format = options.format || 'mp4';
     const quality = options.quality || 'medium';
     const forceEncode = options.forceEncode || false;
-    const audioOnly = options.audioOnly || false;
-
-    // Format-specific settings
-    const formatExtension = format === 'ts' ? '.ts' : `.${format}`;
-
-    // Configure encoding options based on format and quality
-    const getOutputOptions = (
-      selectedFormat: OutputFormat,
-      selectedQuality: string,
-      useStreamCopy: boolean
-    ) => {
-      if (useStreamCopy) {
-        switch (selectedFormat) {
-          case 'mp4':
-            return ['-c copy', '-movflags faststart', '-avoid_negative_ts 1'];
-          case 'mkv':
-            return ['-c copy'];
-          case 'webm':
-            // WebM doesn't support stream copy well for all sources, defaulting to encoding
-            return [
-              '-c:v libvpx-vp9',
-              '-c:a libopus',
-              '-b:v 1M',
-              '-cpu-used 2',
-            ];
-          case 'ts':
-            return ['-c copy', '-mpegts_flags +resend_headers'];
-          default:
-            return ['-c copy'];
-        }
-      }
-
-      // If we're encoding (not stream copying)
-      if (audioOnly) {
-        switch (selectedFormat) {
-          case 'mp4':
-            return ['-vn', '-c:a aac', '-b:a 128k'];
-          case 'mkv':
-            return ['-vn', '-c:a libopus', '-b:a 128k'];
-          case 'webm':
-            return ['-vn', '-c:a libopus', '-b:a 128k'];
-          case 'ts':
-            return ['-vn', '-c:a aac', '-b:a 128k'];
-          default:
-            return ['-vn', '-c:a aac', '-b:a 128k'];
-        }
-      }
-
-      // Video encoding options
-      const qualitySettings = {
-        high: {
-          mp4: [
-            '-c:v libx264',
-            '-crf 18',
-            '-preset medium',
-            '-c:a aac',
-            '-b:a 192k',
-            '-movflags faststart',
-          ],
-          mkv: [
-            '-c:v libx264',
-            '-crf 18',
-            '-preset medium',
-            '-c:a libopus',
-            '-b:a 192k',
-          ],
-          webm: [
-            '-c:v libvpx-vp9',
-            '-crf 20',
-            '-b:v 2M',
-            '-c:a libopus',
-            '-b:a 128k',
-          ],
-          ts: [
-            '-c:v libx264',
-            '-crf 18',
-            '-preset medium',
-            '-c:a aac',
-            '-b:a 192k',
-          ],
-        },
-        medium: {
-          mp4: [
-            '-c:v libx264',
-            '-crf 22',
-            '-preset fast',
-            '-c:a aac',
-            '-b:a 128k',
-            '-movflags faststart',
-          ],
-          mkv: [
-            '-c:v libx264',
-            '-crf 22',
-            '-preset fast',
-            '-c:a libopus',
-            '-b:a 128k',
-          ],
-          webm: [
-            '-c:v libvpx-vp9',
-            '-crf 30',
-            '-b:v 1M',
-            '-c:a libopus',
-            '-b:a 96k',
-            '-cpu-used 2',
-          ],
-          ts: [
-            '-c:v libx264',
-            '-crf 22',
-            '-preset fast',
-            '-c:a aac',
-            '-b:a 128k',
-          ],
-        },
-        low: {
-          mp4: [
-            '-c:v libx264',
-            '-crf 28',
-            '-preset ultrafast',
-            '-c:a aac',
-            '-b:a 96k',
-            '-movflags faststart',
-          ],
-          mkv: [
-            '-c:v libx264',
-            '-crf 28',
-            '-preset ultrafast',
-            '-c:a libopus',
-            '-b:a 96k',
-          ],
-          webm: [
-            '-c:v libvpx-vp9',
-            '-crf 35',
-            '-b:v 500k',
-            '-c:a libopus',
-            '-b:a 64k',
-            '-cpu-used 4',
-          ],
-          ts: [
-            '-c:v libx264',
-            '-crf 28',
-            '-preset ultrafast',
-            '-c:a aac',
-            '-b:a 96k',
-          ],
-        },
-      };
-
-      return qualitySettings[selectedQuality as keyof typeof qualitySettings][
-        selectedFormat
-      ];
-    };
+    // Audio formats hold no video at all
+    const audioOnly = options.audioOnly || isAudioFormat(format);
+    const rangePolicy = options.rangePolicy || config.rangePolicy;
+    const cutMode = options.cutMode || 'copy';
+    const snapTolerance = isDefined(options.snapTolerance)
+      ? options.snapTolerance
+      : config.snapTolerance;
 
     // In dev mode, dump the segments for inspection
     if (config.devMode) {
@@ -208,158 +292,313 @@ export async function segmentVideo(
         quality,
         forceEncode,
         audioOnly,
+        rangePolicy,
+        cutMode,
+        snapTolerance,
       });
     }
 
-    const outputPaths: string[] = [];
-
     // Ensure output directory exists
     await fs.ensureDir(outputDir);
 
-    // Process each segment
-    for (const [index, segment] of segments.entries()) {
-      // In dev mode, dump each segment for debugging
-      if (config.devMode) {
-        debugDump(segment, `Segment ${index + 1}`);
-      }
+    // Probe the input once: its duration bounds the segments and its
+    // streams decide how smart cuts are encoded
+    const metadata = await getVideoMetadata(inputPath);
 
-      // Use safe property access with defaults
-      const name = safeGet(segment, 'name', `segment_${index + 1}`);
-      const start = safeGet(segment, 'start', '00:00:00');
-      const end = safeGet(segment, 'end', '23:59:59');
-
-      // In dev mode, dump the extracted values
-      if (config.devMode) {
-        console.log(`Segment ${index + 1} values:`);
-        console.log(`- name: ${name}`);
-        console.log(`- start: ${start}`);
-        console.log(`- end: ${end}`);
-      }
+    // Check every segment against the media before anything is cut
+    const plan = planSegments(
+      segments,
+      getProbedDuration(metadata, inputPath),
+      rangePolicy
+    );
+    logSegmentPlan(plan);
 
-      // Use the utility to safely handle potentially undefined names
-      const sanitizedName = sanitizeFileName(name, `segment_${index + 1}`);
-      const outputPath = path.join(
-        outputDir,
-        `${sanitizedName}${formatExtension}`
-      );
+    // Keyframe positions decide how each segment can be cut; they are not
+    // needed when every segment is encoded anyway
+    const keyframes =
+      forceEncode || audioOnly || format === 'webm'
+        ? null
+        : await getKeyframes(inputPath).catch((err: Error) => {
+            logger.warn(
+              `Could not read keyframes, stream copies are not checked: ${err.message}`
+            );
+            return null;
+          });
 
-      // Check if file already exists
-      if (await fs.pathExists(outputPath)) {
-        logger.info(`Segment already exists: ${outputPath}`);
-        outputPaths.push(outputPath);
-        continue;
-      }
+    // Output file of every segment; a name used twice keeps the first segment's file
+    const outputPaths = getSegmentOutputPaths(segments, outputDir, format);
 
-      // Use safe access for logging
-      const segmentName = isDefined(name) ? name : `segment_${index + 1}`;
+    // Process the segments in a bounded worker pool; results keep the
+    // order of the segments whatever order the jobs finish in
+    const segmentConcurrency = config.segmentConcurrency;
+    logger.debug(`Cutting up to ${segmentConcurrency} segments at a time`);
 
-      logger.info(
-        `Processing segment ${index + 1}/${
-          segments.length
-        }: ${segmentName} (format: ${format})`
-      );
+    const results = await mapWithConcurrency(
+      segments,
+      segmentConcurrency,
+      async (segment, index): Promise<SegmentResult> => {
+        // In dev mode, dump each segment for debugging
+        if (config.devMode) {
+          debugDump(segment, `Segment ${index + 1}`);
+        }
 
-      // If forceEncode is true, we'll always use encoding
-      if (forceEncode) {
-        logger.info(`Using encoding for segment: ${segmentName}`);
-
-        await new Promise<void>((resolve, reject) => {
-          ffmpeg(inputPath)
-            .setStartTime(start)
-            .duration(calculateDuration(start, end))
-            .output(outputPath)
-            .outputOptions(getOutputOptions(format, quality, false))
-            .on('start', (commandLine) => {
-              logger.debug(`FFmpeg command: ${commandLine}`);
-            })
-            .on('progress', (progress) => {
-              if (progress.percent) {
-                logger.debug(
-                  `Segment progress: ${Math.round(progress.percent)}%`
-                );
-              }
-            })
-            .on('end', () => {
-              logger.info(`Segment completed: ${segmentName}`);
-              outputPaths.push(outputPath);
-              resolve();
-            })
-            .on('error', (err) => {
-              logger.error(`Error encoding segment: ${err.message}`);
-              reject(new Error(`Error encoding segment: ${err.message}`));
-            })
-            .run();
+        // Use safe property access with defaults
+        const name = safeGet(segment, 'name', `segment_${index + 1}`);
+        const planned = plan.segments[index];
+        const { start, end, duration } = planned;
+
+        if (planned.skipped) {
+          return { ...planned, path: '' };
+        }
+
+        // In dev mode, dump the extracted values
+        if (config.devMode) {
+          console.log(`Segment ${index + 1} values:`);
+          console.log(`- name: ${name}`);
+          console.log(`- start: ${formatTimestamp(start)}`);
+          console.log(`- end: ${formatTimestamp(end)}`);
+        }
+
+        const outputPath = outputPaths[index];
+        const firstUse = outputPaths.indexOf(outputPath);
+
+        if (firstUse !== index) {
+          logger.warn(
+            `Segment ${index + 1} has the same file name as segment ${
+              firstUse + 1
+            }, keeping ${outputPath}`
+          );
+          return { ...planned, path: outputPath };
+        }
+
+        // Reuse an existing file only if it passes the same checks as a new one;
+        // its start may have been snapped to a keyframe, so allow for that too
+        if (await fs.pathExists(outputPath)) {
+          try {
+            await verifySegmentFile(outputPath, {
+              duration,
+              tolerance: DURATION_TOLERANCE + snapTolerance,
+              format,
+              audioOnly,
+            });
+            logger.info(`Segment already exists: ${outputPath}`);
+            return { ...planned, path: outputPath };
+          } catch (err) {
+            logger.warn(
+              `Existing segment is unusable, cutting it again: ${
+                err instanceof Error ? err.message : String(err)
+              }`
+            );
+            await fs.remove(outputPath);
+          }
+        }
+
+        // ffmpeg writes to a temporary file that only replaces the output once validated
+        const partPath = getPartialPath(outputPath);
+
+        // Use safe access for logging
+        const segmentName = isDefined(name) ? name : `segment_${index + 1}`;
+
+        // Audio formats are tagged as tracks of an album named after the video
+        const trackTags: TrackTags | null = isAudioFormat(format)
+          ? {
+              ...options.tags,
+              title: segmentName,
+              track: index + 1,
+              total: segments.length,
+            }
+          : null;
+
+        logger.info(
+          `Processing segment ${index + 1}/${
+            segments.length
+          }: ${segmentName} (format: ${format})`
+        );
+
+        let decision = decideCut(start, end, keyframes, {
+          cutMode,
+          snapTolerance,
+          forceEncode,
+          audioOnly,
+          format,
         });
+        logger.info(
+          `Cut method for ${segmentName}: ${decision.method} (${decision.reason})`
+        );
 
-        continue;
-      }
+        // The segment with the times actually cut
+        const cutResult = (): SegmentResult => ({
+          ...planned,
+          start: decision.start,
+          duration: roundSeconds(end - decision.start),
+          path: outputPath,
+          cut: decision,
+        });
 
-      // Try with stream copy first (faster)
-      try {
-        await new Promise<void>((resolve, reject) => {
-          ffmpeg(inputPath)
-            .setStartTime(start)
-            .duration(calculateDuration(start, end))
-            .output(outputPath)
-            .outputOptions(getOutputOptions(format, quality, true))
-            .on('start', (commandLine) => {
-              logger.debug(`FFmpeg command: ${commandLine}`);
-            })
-            .on('progress', (progress) => {
-              if (progress.percent) {
-                logger.debug(
-                  `Segment progress: ${Math.round(progress.percent)}%`
-                );
-              }
-            })
-            .on('end', () => {
-              logger.info(`Segment completed: ${segmentName}`);
-              outputPaths.push(outputPath);
-              resolve();
-            })
-            .on('error', (err) => {
+        // Validate the temporary file and move it into place; a file that
+        // fails validation is removed
+        const commitSegment = async () => {
+          try {
+            await verifySegmentFile(partPath, {
+              duration: roundSeconds(end - decision.start),
+              format,
+              audioOnly,
+            });
+          } catch (err) {
+            await fs.remove(partPath);
+            throw err;
+          }
+
+          await fs.move(partPath, outputPath, { overwrite: true });
+        };
+
+        if (decision.method === 'encode') {
+          await new Promise<void>((resolve, reject) => {
+            addTrackTags(
+              ffmpeg(inputPath)
+                .setStartTime(start)
+                .duration(duration)
+                .output(partPath)
+                .outputOptions(
+                  getOutputOptions(format, quality, false, audioOnly, options)
+                ),
+              format,
+              trackTags
+            )
+              .on('start', (commandLine) => {
+                logger.debug(`FFmpeg command: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                if (progress.percent) {
+                  logger.debug(
+                    `Segment progress: ${Math.round(progress.percent)}%`
+                  );
+                }
+              })
+              .on('end', () => {
+                logger.info(`Segment completed: ${segmentName}`);
+                resolve();
+              })
+              .on('error', (err) => {
+                logger.error(`Error encoding segment: ${err.message}`);
+                reject(new Error(`Error encoding segment: ${err.message}`));
+              })
+              .run();
+          });
+
+          await commitSegment();
+          return cutResult();
+        }
+
+        // Stream copy or smart cut, falling back to encoding if ffmpeg fails
+        try {
+          if (decision.method === 'smart') {
+            // Re-encode up to the first keyframe and copy the rest
+            const cut = await smartCutSegment(
+              inputPath,
+              partPath,
+              start,
+              end,
+              metadata,
+              { format, quality }
+            ).catch((err: Error) => {
               logger.warn(
-                `Stream copy failed, trying with encoding: ${err.message}`
+                `Smart cut failed, trying with encoding: ${err.message}`
               );
-              reject(err);
-            })
-            .run();
-        });
-      } catch (err) {
-        // If stream copy fails, fall back to encoding
-        logger.info(`Falling back to encoding for segment: ${segmentName}`);
-
-        await new Promise<void>((resolve, reject) => {
-          ffmpeg(inputPath)
-            .setStartTime(start)
-            .duration(calculateDuration(start, end))
-            .output(outputPath)
-            .outputOptions(getOutputOptions(format, quality, false))
-            .on('progress', (progress) => {
-              if (progress.percent) {
-                logger.debug(
-                  `Encode progress: ${Math.round(progress.percent)}%`
+              throw err;
+            });
+
+            logger.info(
+              `Segment completed (smart cut, ${cut.encoded}s re-encoded): ${segmentName}`
+            );
+          } else {
+            await new Promise<void>((resolve, reject) => {
+              ffmpeg(inputPath)
+                .setStartTime(decision.start)
+                .duration(roundSeconds(end - decision.start))
+                .output(partPath)
+                .outputOptions(
+                  getOutputOptions(format, quality, true, audioOnly)
+                )
+                .on('start', (commandLine) => {
+                  logger.debug(`FFmpeg command: ${commandLine}`);
+                })
+                .on('progress', (progress) => {
+                  if (progress.percent) {
+                    logger.debug(
+                      `Segment progress: ${Math.round(progress.percent)}%`
+                    );
+                  }
+                })
+                .on('end', () => {
+                  logger.info(`Segment completed: ${segmentName}`);
+                  resolve();
+                })
+                .on('error', (err) => {
+                  logger.warn(
+                    `Stream copy failed, trying with encoding: ${err.message}`
+                  );
+                  reject(err);
+                })
+                .run();
+            });
+          }
+
+          // A copy that does not pass validation is encoded instead
+          await commitSegment();
+        } catch (err) {
+          // If stream copy fails, fall back to encoding
+          logger.info(`Falling back to encoding for segment: ${segmentName}`);
+          decision = {
+            method: 'encode',
+            reason: `${decision.method} failed: ${
+              err instanceof Error ? err.message : String(err)
+            }`,
+            start,
+          };
+
+          await new Promise<void>((resolve, reject) => {
+            addTrackTags(
+              ffmpeg(inputPath)
+                .setStartTime(start)
+                .duration(duration)
+                .output(partPath)
+                .outputOptions(
+                  getOutputOptions(format, quality, false, audioOnly, options)
+                ),
+              format,
+              trackTags
+            )
+              .on('progress', (progress) => {
+                if (progress.percent) {
+                  logger.debug(
+                    `Encode progress: ${Math.round(progress.percent)}%`
+                  );
+                }
+              })
+              .on('end', () => {
+                logger.info(
+                  `Segment completed (with encoding): ${segmentName}`
                 );
-              }
-            })
-            .on('end', () => {
-              logger.info(`Segment completed (with encoding): ${segmentName}`);
-              outputPaths.push(outputPath);
-              resolve();
-            })
-            .on('error', (err: Error) => {
-              logger.error(`Error encoding segment: ${err.message}`);
-              reject(new Error(`Error encoding segment: ${err.message}`));
-            })
-            .run();
-        });
-      }
-    }
+                resolve();
+              })
+              .on('error', (err: Error) => {
+                logger.error(`Error encoding segment: ${err.message}`);
+                reject(new Error(`Error encoding segment: ${err.message}`));
+              })
+              .run();
+          });
 
-    logger.info(
-      `All segments processed successfully. Total: ${outputPaths.length}`
+          await commitSegment();
+        }
+
+        return cutResult();
+      }
     );
-    return outputPaths;
+
+    const cut = results.filter((result) => !result.skipped).length;
+    logger.info(`All segments processed successfully. Total: ${cut}`);
+    return { ...plan, segments: results };
   } catch (error: unknown) {
     // In development mode, rethrow the error for better debugging
     if (config.devMode) {
@@ -373,47 +612,109 @@ export async function segmentVideo(
 }
 
 /**
- * Calculate duration between two timestamps
- * @param start Start timestamp (HH:MM:SS)
- * @param end End timestamp (HH:MM:SS)
- * @returns Duration in seconds
+ * Map the audio of a segment command and add the tags and cover art of audio formats
+ * @param command ffmpeg command reading the media as its only input
+ * @param format Output format
+ * @param tags Tags of the segment; null for video formats
+ * @returns The command
  */
-function calculateDuration(start: string, end: string): number {
-  const startSeconds = timestampToSeconds(start);
-  const endSeconds = timestampToSeconds(end);
-  return endSeconds - startSeconds;
+function addTrackTags(
+  command: ffmpeg.FfmpegCommand,
+  format: OutputFormat,
+  tags: TrackTags | null
+): ffmpeg.FfmpegCommand {
+  if (!tags || !isAudioFormat(format)) {
+    return command;
+  }
+
+  const cover = supportsCoverArt(format) ? tags.cover : undefined;
+  if (cover) {
+    command.input(cover);
+  }
+
+  // Spread, so tag values containing spaces stay single arguments
+  return command.outputOptions(
+    ...getAudioTagOptions(format, tags, 0, cover ? 1 : undefined)
+  );
 }
 
 /**
- * Convert a timestamp string to seconds
- * @param timestamp Timestamp in HH:MM:SS format
- * @returns Number of seconds
+ * Read the duration of the input from its probe data
+ * @param metadata Probe data of the input
+ * @param inputPath Path to the input video file, for logging
+ * @returns Duration in seconds, or null if the container does not report one
  */
-function timestampToSeconds(timestamp: string): number {
-  const parts = timestamp.split(':').map(Number);
-
-  if (parts.length === 3) {
-    // HH:MM:SS format
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  } else if (parts.length === 2) {
-    // MM:SS format
-    return parts[0] * 60 + parts[1];
-  } else {
-    // SS format
-    return parts[0];
+function getProbedDuration(
+  metadata: ffmpeg.FfprobeData,
+  inputPath: string
+): number | null {
+  const duration = Number(metadata.format.duration);
+
+  if (!(duration > 0)) {
+    logger.warn(
+      `Could not determine the duration of ${inputPath}, segments are not range-checked`
+    );
+    return null;
+  }
+
+  return duration;
+}
+
+/**
+ * Log the adjustments, gaps and overlaps found while planning the segments
+ * @param plan Segment plan
+ */
+function logSegmentPlan(plan: SegmentPlan): void {
+  for (const segment of plan.segments) {
+    if (segment.skipped) {
+      logger.warn(
+        `Skipping segment ${
+          segment.name
+        }: starts after the end of the video (${formatTimestamp(
+          plan.mediaDuration || 0
+        )})`
+      );
+    } else if (segment.clamped) {
+      logger.warn(
+        `Segment ${
+          segment.name
+        } ends after the video, cutting it at ${formatTimestamp(segment.end)}`
+      );
+    }
+  }
+
+  for (const gap of plan.gaps) {
+    logger.info(
+      `No segment covers ${formatTimestamp(gap.start)} - ${formatTimestamp(
+        gap.end
+      )}`
+    );
+  }
+
+  for (const overlap of plan.overlaps) {
+    const [first, second] = overlap.segments.map(
+      (index) => plan.segments[index].name
+    );
+    logger.info(
+      `Segments ${first} and ${second} overlap from ${formatTimestamp(
+        overlap.start
+      )} to ${formatTimestamp(overlap.end)}`
+    );
   }
 }
 
 /**
  * Get metadata from a video file
  * @param filePath Path to the video file
+ * @param probeOptions Extra ffprobe options (e.g. ['-show_chapters'])
  * @returns Promise with video metadata
  */
 export function getVideoMetadata(
-  filePath: string
+  filePath: string,
+  probeOptions: string[] = []
 ): Promise<ffmpeg.FfprobeData> {
   return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
+    ffmpeg.ffprobe(filePath, probeOptions, (err, metadata) => {
       if (err) {
         // In development mode, expose the original error
         if (config.devMode) {
@@ -427,3 +728,44 @@ export function getVideoMetadata(
     });
   });
 }
+
+/**
+ * Get the duration of a media file from its container
+ * @param filePath Path to the media file
+ * @returns Duration in seconds
+ */
+export async function getMediaDuration(filePath: string): Promise<number> {
+  const metadata = await getVideoMetadata(filePath);
+  const duration = Number(metadata.format.duration);
+
+  if (!(duration > 0)) {
+    throw new Error(`Could not determine the duration of ${filePath}`);
+  }
+
+  return duration;
+}
+
+/**
+ * Read the chapters embedded in a media container
+ * @param input Path or URL of the media
+ * @returns Chapters as segments (empty when the container has none)
+ */
+export async function getEmbeddedChapters(input: string): Promise<Segment[]> {
+  logger.info(`Reading embedded chapters from: ${input}`);
+
+  const metadata = await getVideoMetadata(input, ['-show_chapters']);
+  const chapters = metadata.chapters || [];
+
+  if (chapters.length === 0) {
+    logger.info('No embedded chapters found');
+    return [];
+  }
+
+  logger.info(`Found ${chapters.length} embedded chapters`);
+
+  return chapters.map((chapter: any, index: number) => ({
+    name: chapter['TAG:title'] || `Chapter ${index + 1}`,
+    start: formatTimestamp(Number(chapter.start_time) || 0),
+    end: formatTimestamp(Number(chapter.end_time) || 0),
+  }));
+}
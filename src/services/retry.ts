@@ -0,0 +1,209 @@
+import { RetryAttempt, RetryPolicy, RetryStage } from '../types';
+import logger from './logger';
+import config from '../config';
+
+// Socket and DNS error codes of failures that usually go away on their own
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  // A process that could not be started or read its input this time
+  'EAGAIN',
+  'ENOMEM',
+  'EIO',
+]);
+
+// Messages of errors that will fail the same way on every attempt
+const PERMANENT_PATTERNS = [
+  /private video/i,
+  /video (is )?unavailable/i,
+  /sign in to confirm/i,
+  /age[- ]restricted/i,
+  /members[- ]only/i,
+  /invalid youtube url/i,
+  /no such format/i,
+  /no playable formats/i,
+  /unsupported codec/i,
+  /(?:codec|format|video) (?:is )?not supported/i,
+  /offline mode/i,
+];
+
+// Messages of errors that usually go away on their own
+const TRANSIENT_PATTERNS = [
+  /socket hang up/i,
+  /timed? ?out/i,
+  /download interrupted/i,
+  /incomplete download/i,
+  /malformed response/i,
+  /killed with signal/i,
+  /network/i,
+  // FFmpeg failures (its last stderr lines are part of the message) that
+  // come from the machine or the input source rather than the command
+  /resource temporarily unavailable/i,
+  /cannot allocate memory/i,
+  /input\/output error/i,
+  /connection reset/i,
+  /server returned 5(?:\d\d|xx)/i,
+];
+
+/**
+ * Whether an error is worth retrying, and why
+ */
+export interface ErrorClassification {
+  retryable: boolean;
+  reason: string;
+}
+
+/**
+ * Properties of thrown errors used to classify them, all optional since
+ * anything can be thrown
+ */
+interface ErrorDetails {
+  code?: string;
+  statusCode?: number;
+  status?: number;
+  constructor?: { name?: string };
+}
+
+/**
+ * Read the HTTP status of a failed request from an error
+ * @param error The error
+ * @param message Message of the error
+ * @returns The status code, or null if the error does not carry one
+ */
+function getStatusCode(
+  error: ErrorDetails | undefined,
+  message: string
+): number | null {
+  const status = Number(error?.statusCode ?? error?.status);
+  if (status >= 100 && status < 600) {
+    return status;
+  }
+
+  // ytdl reports "Status code: 503", the HTTP source "HTTP 503 while ..."
+  const match = /\b(?:status code:?|HTTP)\s*(\d{3})\b/i.exec(message);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Decide whether an error is transient (network trouble, 5xx, 429) or
+ * permanent (private video, invalid URL, unsupported codec)
+ * Errors that match no rule are treated as permanent, so bugs fail fast
+ *
+ * @param error The error
+ * @returns The classification
+ */
+export function classifyError(error: unknown): ErrorClassification {
+  const err = error as ErrorDetails | undefined;
+  const message = error instanceof Error ? error.message : String(error);
+
+  // ytdl-core marks videos that cannot be played at all
+  if (err?.constructor?.name === 'UnrecoverableError') {
+    return { retryable: false, reason: 'video cannot be played' };
+  }
+
+  if (err?.code && TRANSIENT_ERROR_CODES.has(err.code)) {
+    return { retryable: true, reason: `network error ${err.code}` };
+  }
+
+  const status = getStatusCode(err, message);
+  if (status !== null) {
+    if (status === 429 || status >= 500) {
+      return { retryable: true, reason: `HTTP ${status}` };
+    }
+    if (status >= 400) {
+      return { retryable: false, reason: `HTTP ${status}` };
+    }
+  }
+
+  if (PERMANENT_PATTERNS.some((pattern) => pattern.test(message))) {
+    return { retryable: false, reason: 'permanent error' };
+  }
+
+  if (TRANSIENT_PATTERNS.some((pattern) => pattern.test(message))) {
+    return { retryable: true, reason: 'transient error' };
+  }
+
+  return { retryable: false, reason: 'unclassified error' };
+}
+
+/**
+ * Compute the delay before a retry: exponential backoff with jitter
+ * Half of the delay is fixed and half random, so parallel jobs failing
+ * together do not retry in lockstep
+ *
+ * @param policy Retry policy of the stage
+ * @param attempt Number of the attempt that failed, starting at 1
+ * @returns Delay in milliseconds
+ */
+export function getRetryDelay(policy: RetryPolicy, attempt: number): number {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(2, attempt - 1)
+  );
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+/**
+ * Run a stage, retrying transient failures according to the stage's policy
+ * @param stage Stage being run
+ * @param label Description of the job, for logging
+ * @param job The job
+ * @param onFailure Called with every failed attempt, e.g. to record it
+ * @returns Result of the job
+ */
+export async function withRetry<T>(
+  stage: RetryStage,
+  label: string,
+  job: () => Promise<T>,
+  onFailure?: (attempt: RetryAttempt) => Promise<void> | void
+): Promise<T> {
+  const policy = config.retry[stage];
+  const attempts = Math.max(1, policy.attempts);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await job();
+    } catch (error) {
+      const { retryable, reason } = classifyError(error);
+      const delay =
+        retryable && attempt < attempts
+          ? getRetryDelay(policy, attempt)
+          : undefined;
+      const message = error instanceof Error ? error.message : String(error);
+
+      if (onFailure) {
+        await onFailure({
+          stage,
+          attempt,
+          error: message,
+          retryable,
+          delay,
+          at: new Date().toISOString(),
+        });
+      }
+
+      if (delay === undefined) {
+        if (retryable && attempts > 1) {
+          logger.warn(
+            `Giving up on ${stage} of ${label} after ${attempt} attempts`
+          );
+        }
+        throw error;
+      }
+
+      logger.warn(
+        `Retrying ${stage} of ${label} in ${Math.round(
+          delay / 1000
+        )}s (attempt ${attempt + 1}/${attempts}, ${reason}): ${message}`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
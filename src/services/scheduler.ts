@@ -0,0 +1,56 @@
+import logger from './logger';
+import { createLimiter, Limiter } from '../utils/concurrency';
+
+/**
+ * Kinds of jobs, each with its own queue and limit
+ * - download: network-bound fetching of source media
+ * - encode: CPU-bound ffmpeg work (detection and segmentation)
+ */
+export type JobKind = 'download' | 'encode';
+
+/**
+ * Runs jobs in per-kind queues so a video can move on to encoding as soon
+ * as its download finishes, while the next download starts
+ */
+export interface JobScheduler {
+  /**
+   * Run a job once a slot of its kind is free
+   * @param kind Queue to run the job in
+   * @param label Description of the job, for logging
+   * @param job The job
+   * @returns Result of the job
+   */
+  run<T>(kind: JobKind, label: string, job: () => Promise<T>): Promise<T>;
+}
+
+/**
+ * Create a scheduler with a limit per kind of job
+ * @param limits Maximum number of jobs of each kind running at once
+ * @returns The scheduler
+ */
+export function createJobScheduler(
+  limits: Record<JobKind, number>
+): JobScheduler {
+  const queues: Record<JobKind, Limiter> = {
+    download: createLimiter(limits.download),
+    encode: createLimiter(limits.encode),
+  };
+  const waiting: Record<JobKind, number> = { download: 0, encode: 0 };
+
+  logger.info(
+    `Job limits: ${limits.download} download(s), ${limits.encode} encode(s) at a time`
+  );
+
+  return {
+    run<T>(kind: JobKind, label: string, job: () => Promise<T>): Promise<T> {
+      waiting[kind]++;
+      logger.debug(`Queued ${kind} job: ${label} (${waiting[kind]} waiting)`);
+
+      return queues[kind](() => {
+        waiting[kind]--;
+        logger.debug(`Starting ${kind} job: ${label}`);
+        return job();
+      });
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseDescriptionChapters } from './description';
+
+describe('parseDescriptionChapters', () => {
+  it('reads leading timestamps and ends the last chapter at the duration', () => {
+    const segments = parseDescriptionChapters(
+      [
+        'Thanks for watching!',
+        '',
+        '0:00 Intro',
+        '1:30 - Setup',
+        '[12:05] Q&A',
+      ].join('\n'),
+      900
+    );
+
+    expect(segments).toEqual([
+      { name: 'Intro', start: '00:00:00', end: '00:01:30' },
+      { name: 'Setup', start: '00:01:30', end: '00:12:05' },
+      { name: 'Q&A', start: '00:12:05', end: '00:15:00' },
+    ]);
+  });
+
+  it('reads trailing timestamps and hours', () => {
+    const segments = parseDescriptionChapters(
+      'Intro - 0:00\r\nPart two (1:02:03)\r\n',
+      4000
+    );
+
+    expect(segments.map((segment) => [segment.name, segment.start])).toEqual([
+      ['Intro', '00:00:00'],
+      ['Part two', '01:02:03'],
+    ]);
+  });
+
+  it('splits several entries on one line and reads ranges by their start', () => {
+    const segments = parseDescriptionChapters(
+      '0:00 Intro / 2:00 Talk\n5:00 - 8:00 Outro',
+      600
+    );
+
+    expect(segments.map((segment) => segment.name)).toEqual([
+      'Intro',
+      'Talk',
+      'Outro',
+    ]);
+    expect(segments[2].start).toBe('00:05:00');
+  });
+
+  it('ignores times in the middle of a sentence and invalid times', () => {
+    const segments = parseDescriptionChapters(
+      [
+        'Recorded at 10:30 in the morning',
+        '0:00 Start',
+        '1:75 Not a time',
+        '3:00 End',
+      ].join('\n'),
+      300
+    );
+
+    expect(segments.map((segment) => segment.name)).toEqual(['Start', 'End']);
+  });
+
+  it('names untitled chapters by position', () => {
+    const [first] = parseDescriptionChapters('0:00\n1:00 Next', 120);
+
+    expect(first.name).toBe('Chapter 1');
+  });
+
+  it('finds no chapters when the times are not increasing or too few', () => {
+    expect(parseDescriptionChapters('0:00 A\n5:00 B\n2:00 C', 600)).toEqual([]);
+    expect(parseDescriptionChapters('0:00 Only one', 600)).toEqual([]);
+  });
+
+  it('drops times past the duration', () => {
+    const segments = parseDescriptionChapters('0:00 A\n1:00 B\n20:00 C', 90);
+
+    expect(segments.map((segment) => segment.name)).toEqual(['A', 'B']);
+  });
+
+  it('leaves out the last chapter when the duration is unknown', () => {
+    const segments = parseDescriptionChapters('0:00 A\n1:00 B\n2:00 C', 0);
+
+    expect(segments).toEqual([
+      { name: 'A', start: '00:00:00', end: '00:01:00' },
+      { name: 'B', start: '00:01:00', end: '00:02:00' },
+    ]);
+  });
+});
@@ -0,0 +1,151 @@
+import { Segment } from '../../types';
+import { formatTimestamp } from '../../utils/timestamp';
+
+// H:MM:SS or M:SS, optionally wrapped in brackets or parentheses
+const TIME_PATTERN =
+  /[[(]?(?<![\d:])(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?![\d:])[\])]?/g;
+
+// Separators and bullets trimmed from both ends of a chapter title
+const TITLE_TRIM_PATTERN = /^[\s\-–—|:•*·>»/.,]+|[\s\-–—|:•*·<«/.,]+$/g;
+
+/**
+ * A timestamp found on a description line
+ */
+interface TimeMatch {
+  seconds: number;
+  index: number;
+  length: number;
+}
+
+/**
+ * Clean up the text around a timestamp so it can be used as a chapter title
+ * @param text Raw text
+ * @returns The trimmed title (may be empty)
+ */
+function cleanTitle(text: string): string {
+  return text.replace(TITLE_TRIM_PATTERN, '').trim();
+}
+
+/**
+ * Find all timestamps on a line
+ * @param line Description line
+ * @returns Timestamps in order of appearance
+ */
+function findTimes(line: string): TimeMatch[] {
+  const matches: TimeMatch[] = [];
+
+  for (const match of line.matchAll(TIME_PATTERN)) {
+    const hours = match[1] ? parseInt(match[1], 10) : 0;
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+
+    if (seconds >= 60 || (match[1] && minutes >= 60)) {
+      continue;
+    }
+
+    matches.push({
+      seconds: hours * 3600 + minutes * 60 + seconds,
+      index: match.index || 0,
+      length: match[0].length,
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Extract the chapter entries of a single description line
+ * Handles leading ("0:00 Intro") and trailing ("Intro - 0:00") times,
+ * several entries on one line ("0:00 Intro / 12:34 Q&A") and ranges
+ * ("0:00 - 5:00 Intro")
+ *
+ * @param line Description line
+ * @returns Chapter start times and titles found on the line
+ */
+function parseLine(line: string): { start: number; title: string }[] {
+  const times = findTimes(line);
+  if (times.length === 0) {
+    return [];
+  }
+
+  const textBetween = (from: number, to: number) =>
+    cleanTitle(line.slice(from, to));
+  const endOf = (time: TimeMatch) => time.index + time.length;
+
+  const leading = textBetween(0, times[0].index) === '';
+
+  if (!leading) {
+    // Times in the middle of a sentence ("recorded at 10:30 today") are not chapters
+    if (textBetween(endOf(times[times.length - 1]), line.length) !== '') {
+      return [];
+    }
+
+    // Trailing style: each title precedes its time
+    return times.map((time, i) => ({
+      start: time.seconds,
+      title: textBetween(i === 0 ? 0 : endOf(times[i - 1]), time.index),
+    }));
+  }
+
+  // A range such as "0:00 - 5:00 Intro" only starts a chapter at its first time
+  if (
+    times.length === 2 &&
+    textBetween(endOf(times[0]), times[1].index) === ''
+  ) {
+    return [
+      {
+        start: times[0].seconds,
+        title: textBetween(endOf(times[1]), line.length),
+      },
+    ];
+  }
+
+  // Leading style: each title follows its time
+  return times.map((time, i) => ({
+    start: time.seconds,
+    title: textBetween(
+      endOf(time),
+      i + 1 < times.length ? times[i + 1].index : line.length
+    ),
+  }));
+}
+
+/**
+ * Parse chapter timestamps from a video description
+ * The timestamps must appear in increasing order, otherwise the description
+ * is assumed not to contain a chapter list
+ *
+ * @param description Video description
+ * @param duration Duration of the video in seconds (end of the last chapter)
+ * @returns Chapters as segments (empty when no chapter list was found)
+ */
+export function parseDescriptionChapters(
+  description: string,
+  duration: number
+): Segment[] {
+  const entries = description
+    .split(/\r?\n/)
+    .flatMap((line) => parseLine(line))
+    .filter((entry) => !duration || entry.start < duration);
+
+  if (entries.length < 2) {
+    return [];
+  }
+
+  for (let i = 1; i < entries.length; i++) {
+    if (entries[i].start <= entries[i - 1].start) {
+      return [];
+    }
+  }
+
+  const segments = entries.map((entry, index) => ({
+    name: entry.title || `Chapter ${index + 1}`,
+    start: formatTimestamp(entry.start),
+    end: formatTimestamp(
+      index + 1 < entries.length ? entries[index + 1].start : duration
+    ),
+  }));
+
+  // Without a duration the last chapter has no known end
+  return duration > 0 ? segments : segments.slice(0, -1);
+}
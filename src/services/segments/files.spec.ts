@@ -0,0 +1,114 @@
+import { afterAll, beforeAll, describe, expect, it, jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { isSegmentFileSpec, loadSegmentFile } from './files';
+
+describe('loadSegmentFile', () => {
+  let dir: string;
+
+  const write = async (name: string, content: string) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'segment-files-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(dir);
+  });
+
+  it('ends each open entry at the next one and the last at the media end', async () => {
+    const file = await write(
+      'set.cue',
+      'TRACK 01 AUDIO\nINDEX 01 00:00:00\nTRACK 02 AUDIO\nINDEX 01 01:30:00\n'
+    );
+    const getDuration = jest.fn(async () => 200);
+
+    const segments = await loadSegmentFile({ file }, getDuration);
+
+    expect(segments).toEqual([
+      { name: 'Track 01', start: '00:00:00', end: '00:01:30' },
+      { name: 'Track 02', start: '00:01:30', end: '00:03:20' },
+    ]);
+    expect(getDuration).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not probe the media when every entry has an end', async () => {
+    const file = await write(
+      'cues.srt',
+      '1\n00:00:01,000 --> 00:00:02,500\nA\n'
+    );
+    const getDuration = jest.fn(async () => 0);
+
+    const segments = await loadSegmentFile({ file }, getDuration);
+
+    expect(segments).toEqual([
+      { name: 'A', start: '00:00:01', end: '00:00:02.500' },
+    ]);
+    expect(getDuration).not.toHaveBeenCalled();
+  });
+
+  it('detects the format from the contents when the extension is unknown', async () => {
+    const file = await write(
+      'chapters.txt',
+      ';FFMETADATA1\n[CHAPTER]\nSTART=0\nEND=5000\ntitle=Intro\n'
+    );
+
+    const segments = await loadSegmentFile({ file }, async () => 0);
+
+    expect(segments[0]).toEqual({
+      name: 'Intro',
+      start: '00:00:00',
+      end: '00:00:05',
+    });
+  });
+
+  it('uses the frame rate of the reference for EDL files', async () => {
+    const file = await write(
+      'cuts.edl',
+      '001  AX  V  C  00:00:01:12 00:00:02:00 01:00:00:00 01:00:00:12\n'
+    );
+
+    const [segment] = await loadSegmentFile({ file, fps: 24 }, async () => 0);
+
+    expect(segment.start).toBe('00:00:01.500');
+  });
+
+  it('rejects entries that end before they start', async () => {
+    const file = await write(
+      'bad.vtt',
+      'WEBVTT\n\n00:05.000 --> 00:04.000\nX\n'
+    );
+
+    await expect(loadSegmentFile({ file }, async () => 0)).rejects.toThrow(
+      /ends before it starts/
+    );
+  });
+
+  it('rejects files without segments, of unknown format or missing', async () => {
+    const empty = await write('empty.cue', 'TITLE "Nothing"\n');
+    const unknown = await write('list.txt', 'some text\n');
+
+    await expect(
+      loadSegmentFile({ file: empty }, async () => 0)
+    ).rejects.toThrow(/No segments found/);
+    await expect(
+      loadSegmentFile({ file: unknown }, async () => 0)
+    ).rejects.toThrow(/Cannot tell the format/);
+    await expect(
+      loadSegmentFile({ file: path.join(dir, 'missing.cue') }, async () => 0)
+    ).rejects.toThrow(/not found/);
+  });
+});
+
+describe('isSegmentFileSpec', () => {
+  it('matches file references only', () => {
+    expect(isSegmentFileSpec({ file: 'cuts.cue' })).toBe(true);
+    expect(isSegmentFileSpec([])).toBe(false);
+    expect(isSegmentFileSpec('auto')).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  Segment,
+  SegmentFileFormat,
+  SegmentFileReference,
+  SegmentSpec,
+} from '../../types';
+import logger from '../logger';
+import { formatTimestamp } from '../../utils/timestamp';
+import { parseCue } from './formats/cue';
+import { parseEdl } from './formats/edl';
+import { parseFfmetadata } from './formats/ffmetadata';
+import { parseSubtitles } from './formats/subtitles';
+
+// Frame rate assumed for EDL timecodes when the reference does not give one
+const DEFAULT_EDL_FPS = 30;
+
+const EXTENSION_FORMATS: Record<string, SegmentFileFormat> = {
+  '.cue': 'cue',
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.ffmeta': 'ffmetadata',
+  '.ffmetadata': 'ffmetadata',
+  '.edl': 'edl',
+};
+
+/**
+ * An entry parsed from a cut list, in seconds
+ * A missing end means the entry lasts until the next one (or the end of the media)
+ */
+export interface TimedEntry {
+  name: string;
+  start: number;
+  end?: number;
+}
+
+/**
+ * Type guard for segment lists loaded from a file
+ * @param spec Segment specification of a video
+ * @returns True if the segments come from a cut list file
+ */
+export function isSegmentFileSpec(
+  spec: SegmentSpec
+): spec is SegmentFileReference {
+  return typeof spec === 'object' && !Array.isArray(spec) && 'file' in spec;
+}
+
+/**
+ * Work out the format of a cut list file
+ * @param filePath Path of the file
+ * @param content File contents
+ * @param format Explicit format from the reference, if any
+ * @returns The file format
+ */
+function detectFormat(
+  filePath: string,
+  content: string,
+  format?: SegmentFileFormat
+): SegmentFileFormat {
+  if (format) {
+    return format;
+  }
+
+  const byExtension = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  if (content.trimStart().startsWith(';FFMETADATA1')) {
+    return 'ffmetadata';
+  }
+  if (content.trimStart().startsWith('WEBVTT')) {
+    return 'vtt';
+  }
+
+  throw new Error(
+    `Cannot tell the format of ${filePath}; set "format" in the segments reference`
+  );
+}
+
+/**
+ * Load the segment list of a video from a cut list file
+ * Supports CUE sheets, SRT/WebVTT cues, FFMETADATA chapters and CMX3600 EDL
+ *
+ * @param reference The segments reference of the video
+ * @param getDuration Returns the media duration, for entries without an end
+ * @returns Segments in the shape expected by segmentVideo
+ */
+export async function loadSegmentFile(
+  reference: SegmentFileReference,
+  getDuration: () => Promise<number>
+): Promise<Segment[]> {
+  // Relative paths are resolved like local inputs, against the working directory
+  const filePath = path.resolve(process.cwd(), reference.file);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`Segment file not found: ${filePath}`);
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const format = detectFormat(filePath, content, reference.format);
+  logger.info(`Loading ${format} segment list from: ${filePath}`);
+
+  let entries: TimedEntry[];
+  switch (format) {
+    case 'cue':
+      entries = parseCue(content);
+      break;
+    case 'srt':
+    case 'vtt':
+      entries = parseSubtitles(content);
+      break;
+    case 'ffmetadata':
+      entries = parseFfmetadata(content);
+      break;
+    case 'edl':
+      entries = parseEdl(content, reference.fps || DEFAULT_EDL_FPS);
+      break;
+    default:
+      throw new Error(`Unsupported segment file format: ${format}`);
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`No segments found in ${filePath}`);
+  }
+
+  // Only probe the media when an open-ended entry needs it
+  const needsDuration = entries[entries.length - 1].end === undefined;
+  const duration = needsDuration ? await getDuration() : 0;
+
+  return entries.map((entry, index) => {
+    const end =
+      entry.end ??
+      (index + 1 < entries.length ? entries[index + 1].start : duration);
+
+    if (end <= entry.start) {
+      throw new Error(
+        `Segment "${entry.name}" in ${filePath} ends before it starts`
+      );
+    }
+
+    return {
+      name: entry.name,
+      start: formatTimestamp(entry.start),
+      end: formatTimestamp(end),
+    };
+  });
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseCue } from './cue';
+
+describe('parseCue', () => {
+  it('reads one entry per track from its INDEX 01', () => {
+    const entries = parseCue(
+      [
+        'PERFORMER "Someone"',
+        'TITLE "Live Set"',
+        'FILE "set.wav" WAVE',
+        '  TRACK 01 AUDIO',
+        '    TITLE "Intro"',
+        '    INDEX 01 00:00:00',
+        '  TRACK 02 AUDIO',
+        '    TITLE "Second Song"',
+        '    INDEX 00 03:58:00',
+        '    INDEX 01 04:00:00',
+      ].join('\n')
+    );
+
+    expect(entries).toEqual([
+      { name: 'Intro', start: 0 },
+      { name: 'Second Song', start: 240 },
+    ]);
+  });
+
+  it('counts frames at 75 per second', () => {
+    const [entry] = parseCue('TRACK 01 AUDIO\nINDEX 01 01:02:15\n');
+
+    expect(entry.start).toBeCloseTo(62.2, 6);
+  });
+
+  it('accepts minutes past 99', () => {
+    const [entry] = parseCue('TRACK 01 AUDIO\nINDEX 01 120:00:00\n');
+
+    expect(entry.start).toBe(7200);
+  });
+
+  it('names untitled tracks by number and skips tracks without INDEX 01', () => {
+    const entries = parseCue(
+      'TRACK 01 AUDIO\r\nINDEX 00 00:00:00\r\nTRACK 07 AUDIO\r\nINDEX 01 00:10:00\r\n'
+    );
+
+    expect(entries).toEqual([{ name: 'Track 07', start: 10 }]);
+  });
+
+  it('ignores a TITLE before the first track', () => {
+    expect(parseCue('TITLE "Album"\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+import { TimedEntry } from '../files';
+
+// CUE sheet times are MM:SS:FF with 75 frames per second
+const CUE_FRAMES_PER_SECOND = 75;
+
+/**
+ * Remove the quotes around a CUE sheet value
+ * @param value Raw value
+ * @returns Unquoted value
+ */
+function unquote(value: string): string {
+  const trimmed = value.trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"')
+    ? trimmed.slice(1, -1)
+    : trimmed;
+}
+
+/**
+ * Parse a CUE sheet into timed entries, one per track
+ * Tracks start at their INDEX 01; ends are filled in by the caller
+ *
+ * @param content CUE sheet contents
+ * @returns Timed entries in track order
+ */
+export function parseCue(content: string): TimedEntry[] {
+  const entries: TimedEntry[] = [];
+  let current: { number: string; title?: string; start?: number } | null = null;
+
+  const flush = () => {
+    if (current && current.start !== undefined) {
+      entries.push({
+        name: current.title || `Track ${current.number}`,
+        start: current.start,
+      });
+    }
+  };
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const [command, ...rest] = line.split(/\s+/);
+
+    switch ((command || '').toUpperCase()) {
+      case 'TRACK':
+        flush();
+        current = { number: rest[0] || String(entries.length + 1) };
+        break;
+      case 'TITLE':
+        if (current) {
+          current.title = unquote(line.slice(command.length));
+        }
+        break;
+      case 'INDEX': {
+        const match = /^(\d+):(\d{2}):(\d{2})$/.exec(rest[1] || '');
+        if (current && rest[0] === '01' && match) {
+          current.start =
+            parseInt(match[1], 10) * 60 +
+            parseInt(match[2], 10) +
+            parseInt(match[3], 10) / CUE_FRAMES_PER_SECOND;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  flush();
+  return entries;
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseEdl, timecodeToSeconds } from './edl';
+
+describe('timecodeToSeconds', () => {
+  it('converts non-drop-frame timecodes at the given frame rate', () => {
+    expect(timecodeToSeconds('01:02:03:12', 24)).toBe(3723.5);
+    expect(timecodeToSeconds('00:00:01:15', 30)).toBe(1.5);
+    expect(timecodeToSeconds('00:00:01.25', 25)).toBe(2);
+  });
+
+  it('uses 29.97 drop-frame counting with a ; separator', () => {
+    // The first frame after a dropped pair is frame 1800 of the video
+    expect(timecodeToSeconds('00:01:00;02', 30)).toBeCloseTo(
+      (1800 * 1001) / 30000,
+      9
+    );
+    // Every tenth minute keeps its frames: 10 minutes are 17982 frames
+    expect(timecodeToSeconds('00:10:00;00', 30)).toBeCloseTo(
+      (17982 * 1001) / 30000,
+      9
+    );
+  });
+
+  it('ignores the frame rate for drop-frame timecodes', () => {
+    expect(timecodeToSeconds('00:00:10;00', 25)).toBe(
+      timecodeToSeconds('00:00:10;00', 30)
+    );
+  });
+});
+
+describe('parseEdl', () => {
+  const edl = [
+    'TITLE: Cuts',
+    'FCM: NON-DROP FRAME',
+    '',
+    '001  AX       V     C        00:00:10:00 00:00:20:00 01:00:00:00 01:00:10:00',
+    '* FROM CLIP NAME: interview.mov',
+    '002  AX       AA/V  C        00:01:00:15 00:01:30:00 01:00:10:00 01:00:39:15',
+    '* LOC: 01:00:12:00 RED     Opening remarks',
+    '003  BL       V     C        00:02:00:00 00:02:05:00 01:00:39:15 01:00:44:15',
+  ].join('\n');
+
+  it('reads the source in and out points of every event', () => {
+    const entries = parseEdl(edl, 30);
+
+    expect(entries.map(({ start, end }) => [start, end])).toEqual([
+      [10, 20],
+      [60.5, 90],
+      [120, 125],
+    ]);
+  });
+
+  it('names events after clip and locator comments, or their number', () => {
+    expect(parseEdl(edl, 30).map((entry) => entry.name)).toEqual([
+      'interview.mov',
+      'Opening remarks',
+      'Event 003',
+    ]);
+  });
+
+  it('applies the frame rate to the frame field', () => {
+    const [, second] = parseEdl(edl, 25);
+
+    expect(second.start).toBe(60.6);
+  });
+
+  it('accepts a transition duration after the edit type', () => {
+    const [entry] = parseEdl(
+      '004  AX  V  D 030 00:00:05:00 00:00:08:00 01:00:00:00 01:00:03:00',
+      30
+    );
+
+    expect(entry).toEqual({ name: 'Event 004', start: 5, end: 8 });
+  });
+});
@@ -0,0 +1,73 @@
+import { TimedEntry } from '../files';
+
+// 001  AX  V  C  00:00:10:00 00:00:20:00 00:00:00:00 00:00:10:00
+const EVENT_LINE =
+  /^(\d+)\s+\S+\s+\S+\s+\S+(?:\s+\d+)?\s+(\d{2}:\d{2}:\d{2}[:;.]\d{2})\s+(\d{2}:\d{2}:\d{2}[:;.]\d{2})\s+\d{2}:\d{2}:\d{2}[:;.]\d{2}\s+\d{2}:\d{2}:\d{2}[:;.]\d{2}/;
+
+/**
+ * Convert an SMPTE timecode to seconds
+ * Timecodes with a ';' separator use 29.97 drop-frame counting
+ *
+ * @param timecode Timecode in HH:MM:SS:FF form
+ * @param fps Frame rate of non-drop-frame timecodes
+ * @returns Time in seconds
+ */
+export function timecodeToSeconds(timecode: string, fps: number): number {
+  const [hours, minutes, seconds, frames] = timecode.split(/[:;.]/).map(Number);
+
+  if (timecode.includes(';')) {
+    // Drop-frame: two frame numbers are skipped every minute except every tenth
+    const totalMinutes = hours * 60 + minutes;
+    const frameNumber =
+      (hours * 3600 + minutes * 60 + seconds) * 30 +
+      frames -
+      2 * (totalMinutes - Math.floor(totalMinutes / 10));
+    return (frameNumber * 1001) / 30000;
+  }
+
+  return hours * 3600 + minutes * 60 + seconds + frames / fps;
+}
+
+/**
+ * Parse a CMX3600 edit decision list into timed entries
+ * Each event uses its source in/out points; clip names come from
+ * "* FROM CLIP NAME:" or "* LOC:" comments following the event
+ *
+ * @param content EDL contents
+ * @param fps Frame rate of the timecodes
+ * @returns Timed entries in event order
+ */
+export function parseEdl(content: string, fps: number): TimedEntry[] {
+  const entries: (TimedEntry & { event: string })[] = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const event = EVENT_LINE.exec(line);
+
+    if (event) {
+      entries.push({
+        event: event[1],
+        name: '',
+        start: timecodeToSeconds(event[2], fps),
+        end: timecodeToSeconds(event[3], fps),
+      });
+      continue;
+    }
+
+    const comment = /^\*\s*(FROM CLIP NAME|LOC):\s*(.*)$/i.exec(line);
+    const last = entries[entries.length - 1];
+    if (comment && last && !last.name) {
+      // LOC comments carry a timecode and colour before the marker name
+      last.name =
+        comment[1].toUpperCase() === 'LOC'
+          ? comment[2].replace(/^\S+\s+\S+\s*/, '').trim()
+          : comment[2].trim();
+    }
+  }
+
+  return entries.map(({ event, name, start, end }) => ({
+    name: name || `Event ${event}`,
+    start,
+    end,
+  }));
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseFfmetadata } from './ffmetadata';
+
+describe('parseFfmetadata', () => {
+  it('reads the chapters in milliseconds by default', () => {
+    const entries = parseFfmetadata(
+      [
+        ';FFMETADATA1',
+        'title=Whole video',
+        '',
+        '[CHAPTER]',
+        'START=0',
+        'END=90500',
+        'title=Opening',
+        '[CHAPTER]',
+        'START=90500',
+        'END=120000',
+      ].join('\n')
+    );
+
+    expect(entries).toEqual([
+      { name: 'Opening', start: 0, end: 90.5 },
+      { name: 'Chapter 2', start: 90.5, end: 120 },
+    ]);
+  });
+
+  it('applies the TIMEBASE of each chapter', () => {
+    const [entry] = parseFfmetadata(
+      ';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/90000\nSTART=450000\nEND=900000\n'
+    );
+
+    expect(entry.start).toBe(5);
+    expect(entry.end).toBe(10);
+  });
+
+  it('unescapes values and joins continued lines', () => {
+    const [entry] = parseFfmetadata(
+      ';FFMETADATA1\n[CHAPTER]\nSTART=0\nEND=1000\ntitle=Q\\=A; part\\\none\n'
+    );
+
+    expect(entry.name).toBe('Q=A; part\none');
+  });
+
+  it('skips comments and sections other than chapters', () => {
+    const entries = parseFfmetadata(
+      ';FFMETADATA1\n[STREAM]\ntitle=Audio\n# note\n[CHAPTER]\nSTART=0\nEND=1000\n'
+    );
+
+    expect(entries).toHaveLength(1);
+  });
+
+  it('rejects files without the header', () => {
+    expect(() => parseFfmetadata('[CHAPTER]\nSTART=0\nEND=1\n')).toThrow(
+      /FFMETADATA1/
+    );
+  });
+
+  it('rejects chapters without a valid START/END or timebase', () => {
+    expect(() => parseFfmetadata(';FFMETADATA1\n[CHAPTER]\nSTART=0\n')).toThrow(
+      /START\/END/
+    );
+    expect(() =>
+      parseFfmetadata(';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/0\nSTART=0\nEND=1\n')
+    ).toThrow(/START\/END/);
+  });
+});
@@ -0,0 +1,85 @@
+import { TimedEntry } from '../files';
+
+/**
+ * Undo FFMETADATA escaping (backslash before = ; # \ and newlines)
+ * @param value Escaped value
+ * @returns Unescaped value
+ */
+function unescapeValue(value: string): string {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse the [CHAPTER] sections of an ffmpeg FFMETADATA file
+ * @param content FFMETADATA file contents
+ * @returns Timed entries in file order
+ */
+export function parseFfmetadata(content: string): TimedEntry[] {
+  if (!content.trimStart().startsWith(';FFMETADATA1')) {
+    throw new Error('Not an FFMETADATA file (missing ;FFMETADATA1 header)');
+  }
+
+  const entries: TimedEntry[] = [];
+  let chapter: Record<string, string> | null = null;
+
+  const flush = () => {
+    if (!chapter) {
+      return;
+    }
+
+    const [numerator, denominator] = (chapter.timebase || '1/1000')
+      .split('/')
+      .map(Number);
+    const unit = numerator / denominator;
+    const start = Number(chapter.start);
+    const end = Number(chapter.end);
+
+    if (
+      Number.isNaN(start) ||
+      Number.isNaN(end) ||
+      !(unit > 0 && Number.isFinite(unit))
+    ) {
+      throw new Error('FFMETADATA chapter is missing a valid START/END');
+    }
+
+    entries.push({
+      name: chapter.title || `Chapter ${entries.length + 1}`,
+      start: start * unit,
+      end: end * unit,
+    });
+  };
+
+  // A trailing backslash continues a value on the next line
+  const lines: string[] = [];
+  for (const line of content.split(/\r?\n/)) {
+    const previous = lines[lines.length - 1];
+    if (previous?.endsWith('\\') && !previous.endsWith('\\\\')) {
+      lines[lines.length - 1] = `${previous.slice(0, -1)}\n${line}`;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith(';') || line.startsWith('#')) {
+      continue;
+    }
+
+    if (line.startsWith('[')) {
+      flush();
+      chapter = line.toUpperCase() === '[CHAPTER]' ? {} : null;
+      continue;
+    }
+
+    const separator = line.search(/(?<!\\)=/);
+    if (chapter && separator > 0) {
+      const key = line.slice(0, separator).trim().toLowerCase();
+      chapter[key] = unescapeValue(line.slice(separator + 1));
+    }
+  }
+
+  flush();
+  return entries;
+}
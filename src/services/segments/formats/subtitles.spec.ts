@@ -0,0 +1,66 @@
+import { describe, expect, it } from '@jest/globals';
+import { parseSubtitles } from './subtitles';
+
+describe('parseSubtitles', () => {
+  it('reads SRT cues', () => {
+    const entries = parseSubtitles(
+      [
+        '1',
+        '00:00:01,500 --> 00:00:04,000',
+        'First line',
+        'second line',
+        '',
+        '2',
+        '01:02:03,004 --> 01:02:05,000',
+        'Later',
+        '',
+      ].join('\r\n')
+    );
+
+    expect(entries).toEqual([
+      { name: 'First line second line', start: 1.5, end: 4 },
+      { name: 'Later', start: 3723.004, end: 3725 },
+    ]);
+  });
+
+  it('reads WebVTT cues with and without hours', () => {
+    const entries = parseSubtitles(
+      [
+        'WEBVTT',
+        '',
+        'NOTE made by hand',
+        '',
+        'intro',
+        '00:05.000 --> 00:10.250 align:start',
+        '<v Host>Welcome</v>',
+        '',
+        '01:00:00.000 --> 01:00:30.000',
+        '',
+      ].join('\n')
+    );
+
+    expect(entries).toEqual([
+      { name: 'Welcome', start: 5, end: 10.25 },
+      { name: 'Cue 2', start: 3600, end: 3630 },
+    ]);
+  });
+
+  it('falls back to the cue identifier when there is no text', () => {
+    const [entry] = parseSubtitles('chapter-1\n00:00.000 --> 00:01.000\n');
+
+    expect(entry.name).toBe('chapter-1');
+  });
+
+  it('pads short fractions to milliseconds', () => {
+    const [entry] = parseSubtitles('00:00:01.5 --> 00:00:02.25\nText\n');
+
+    expect(entry.start).toBe(1.5);
+    expect(entry.end).toBe(2.25);
+  });
+
+  it('skips a byte order mark', () => {
+    expect(
+      parseSubtitles('﻿WEBVTT\n\n00:01.000 --> 00:02.000\nA\n')
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,62 @@
+import { TimedEntry } from '../files';
+
+// 00:01:02,345 (SRT) or 01:02.345 / 00:01:02.345 (WebVTT)
+const CUE_TIME = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+const CUE_TIMING = new RegExp(
+  `${CUE_TIME.source}\\s*-->\\s*${CUE_TIME.source}`
+);
+
+/**
+ * Convert the captured parts of a cue time to seconds
+ * @param parts Hours, minutes, seconds and fraction captures
+ * @returns Time in seconds
+ */
+function toSeconds(parts: string[]): number {
+  const [hours, minutes, seconds, fraction] = parts;
+  return (
+    parseInt(hours || '0', 10) * 3600 +
+    parseInt(minutes, 10) * 60 +
+    parseInt(seconds, 10) +
+    parseInt(fraction.padEnd(3, '0'), 10) / 1000
+  );
+}
+
+/**
+ * Parse SRT or WebVTT cues into timed entries
+ * Each cue becomes one entry named after its text
+ *
+ * @param content Subtitle file contents
+ * @returns Timed entries in file order
+ */
+export function parseSubtitles(content: string): TimedEntry[] {
+  const entries: TimedEntry[] = [];
+
+  // Cues are separated by blank lines
+  const blocks = content.replace(/^﻿/, '').split(/\r?\n\s*\r?\n/);
+
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/);
+    const timingIndex = lines.findIndex((line) => CUE_TIMING.test(line));
+
+    if (timingIndex === -1) {
+      // WEBVTT header, NOTE and STYLE blocks carry no timing
+      continue;
+    }
+
+    const match = CUE_TIMING.exec(lines[timingIndex]) as RegExpExecArray;
+    const text = lines
+      .slice(timingIndex + 1)
+      .map((line) => line.replace(/<[^>]+>/g, '').trim())
+      .filter(Boolean)
+      .join(' ');
+    const identifier = lines.slice(0, timingIndex).join(' ').trim();
+
+    entries.push({
+      name: text || identifier || `Cue ${entries.length + 1}`,
+      start: toSeconds(match.slice(1, 5)),
+      end: toSeconds(match.slice(5, 9)),
+    });
+  }
+
+  return entries;
+}
@@ -0,0 +1,117 @@
+import {
+  ChapterSource,
+  Segment,
+  SourceProvider,
+  VideoConfig,
+} from '../../types';
+import logger from '../logger';
+import { getMediaDuration } from '../processor';
+import { formatTimestamp } from '../../utils/timestamp';
+import { isSegmentFileSpec, loadSegmentFile } from './files';
+import { buildIntervalSegments, isIntervalSpec } from './interval';
+import { buildSceneSegments, isSceneSpec } from './scenes';
+import { buildSilenceSegments, isSilenceSpec } from './silence';
+
+/**
+ * Segments resolved for a video
+ */
+export interface ResolvedSegments {
+  segments: Segment[];
+  /** Where the chapters were found, for the 'auto' mode */
+  chapterSource?: ChapterSource;
+}
+
+/**
+ * Describe how a video is segmented, for logging
+ * @param video Video configuration
+ * @returns Short name of the segmentation mode
+ */
+export function describeSegmentMode(video: VideoConfig): string {
+  if (video.segments === 'auto') {
+    return 'auto';
+  }
+  if (isIntervalSpec(video.segments)) {
+    return 'interval';
+  }
+  if (isSegmentFileSpec(video.segments)) {
+    return 'file';
+  }
+  if (isSilenceSpec(video.segments)) {
+    return 'silence';
+  }
+  if (isSceneSpec(video.segments)) {
+    return 'scenes';
+  }
+  return 'manual';
+}
+
+/**
+ * Determine the segments to cut from a video
+ * @param video Video configuration
+ * @param provider Source provider of the video
+ * @param videoPath Local path of the fetched media
+ * @param outputDir Output directory of the video, for detection sidecars
+ * @returns Segments to pass to segmentVideo
+ */
+export async function resolveSegments(
+  video: VideoConfig,
+  provider: SourceProvider,
+  videoPath: string,
+  outputDir: string
+): Promise<ResolvedSegments> {
+  const spec = video.segments;
+
+  if (spec === 'auto') {
+    logger.info('Using auto-segmentation based on video chapters');
+    const chapters = await provider.listChapters(video.url);
+
+    if (chapters.segments.length > 0) {
+      return { segments: chapters.segments, chapterSource: chapters.source };
+    }
+
+    // If no chapters were detected, create a single segment for the entire video
+    logger.info('No chapters detected, using entire video as a single segment');
+    const duration = await getMediaDuration(videoPath);
+    return {
+      segments: [
+        {
+          name: 'Full Video',
+          start: '00:00:00',
+          end: formatTimestamp(duration),
+        },
+      ],
+      chapterSource: 'none',
+    };
+  }
+
+  if (isIntervalSpec(spec)) {
+    logger.info(`Splitting video into pieces of ${spec.every}`);
+    const duration = await getMediaDuration(videoPath);
+    return { segments: buildIntervalSegments(spec, duration) };
+  }
+
+  if (isSilenceSpec(spec)) {
+    logger.info('Using auto-segmentation based on silence detection');
+    const duration = await getMediaDuration(videoPath);
+    return {
+      segments: await buildSilenceSegments(videoPath, spec, duration),
+    };
+  }
+
+  if (isSceneSpec(spec)) {
+    logger.info('Using auto-segmentation based on scene changes');
+    const duration = await getMediaDuration(videoPath);
+    return {
+      segments: await buildSceneSegments(videoPath, spec, duration, outputDir),
+    };
+  }
+
+  if (isSegmentFileSpec(spec)) {
+    const segments = await loadSegmentFile(spec, () =>
+      getMediaDuration(videoPath)
+    );
+    return { segments };
+  }
+
+  return { segments: spec };
+}
@@ -0,0 +1,59 @@
+import { IntervalSegments, Segment, SegmentSpec } from '../../types';
+import { timestampToSeconds } from '../../utils/timestamp';
+import { rangesToSegments, TimeRange } from './ranges';
+
+/**
+ * Type guard for the interval segmentation mode
+ * @param spec Segment specification of a video
+ * @returns True if the video is split into fixed-length pieces
+ */
+export function isIntervalSpec(spec: SegmentSpec): spec is IntervalSegments {
+  return typeof spec === 'object' && !Array.isArray(spec) && 'every' in spec;
+}
+
+/**
+ * Split a video of known duration into fixed-length segments
+ * @param spec Interval settings
+ * @param duration Duration of the video in seconds
+ * @returns The generated segments
+ */
+export function buildIntervalSegments(
+  spec: IntervalSegments,
+  duration: number
+): Segment[] {
+  const every = timestampToSeconds(spec.every);
+  const overlap = spec.overlap ? timestampToSeconds(spec.overlap) : 0;
+  const minLast = spec.minLast ? timestampToSeconds(spec.minLast) : 0;
+
+  if (every <= 0) {
+    throw new Error(`Interval length must be positive: ${spec.every}`);
+  }
+  if (overlap >= every) {
+    throw new Error(
+      `Interval overlap (${spec.overlap}) must be shorter than the interval (${spec.every})`
+    );
+  }
+  if (!(duration > 0)) {
+    throw new Error('Cannot split a video without a known duration');
+  }
+
+  const ranges: TimeRange[] = [];
+  const step = every - overlap;
+
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(start + every, duration);
+    ranges.push({ start, end });
+    if (end >= duration) {
+      break;
+    }
+  }
+
+  // Merge a too-short remainder into the previous piece
+  const last = ranges[ranges.length - 1];
+  if (ranges.length > 1 && last.end - last.start < minLast) {
+    ranges.pop();
+    ranges[ranges.length - 1].end = last.end;
+  }
+
+  return rangesToSegments(ranges, spec.name);
+}
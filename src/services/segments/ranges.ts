@@ -0,0 +1,54 @@
+import { Segment } from '../../types';
+import { formatTimestamp } from '../../utils/timestamp';
+
+const DEFAULT_NAME_TEMPLATE = 'Part {n}';
+
+/**
+ * A time range in seconds
+ */
+export interface TimeRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * Fill in a piece name template
+ * @param template Template with {n}, {total}, {start} and {end} placeholders
+ * @param values Values for the placeholders
+ * @returns The piece name
+ */
+function renderName(
+  template: string,
+  values: Record<string, string | number>
+): string {
+  return template.replace(/\{(\w+)\}/g, (match, key: string) =>
+    key in values ? String(values[key]) : match
+  );
+}
+
+/**
+ * Turn generated time ranges into named segments
+ * @param ranges Time ranges in seconds
+ * @param template Name template (default: "Part {n}")
+ * @returns The segments
+ */
+export function rangesToSegments(
+  ranges: TimeRange[],
+  template = DEFAULT_NAME_TEMPLATE
+): Segment[] {
+  return ranges.map((range, index) => {
+    const start = formatTimestamp(range.start);
+    const end = formatTimestamp(range.end);
+
+    return {
+      name: renderName(template, {
+        n: index + 1,
+        total: ranges.length,
+        start,
+        end,
+      }),
+      start,
+      end,
+    };
+  });
+}
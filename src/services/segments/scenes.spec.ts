@@ -0,0 +1,34 @@
+import { describe, expect, it } from '@jest/globals';
+import { selectSceneCuts } from './scenes';
+
+describe('selectSceneCuts', () => {
+  const changes = [
+    { time: 10, score: 0.5 },
+    { time: 12, score: 0.9 },
+    { time: 30, score: 0.2 },
+    { time: 45, score: 0.7 },
+    { time: 58, score: 0.8 },
+  ];
+
+  it('keeps every change at or above the threshold, in time order', () => {
+    expect(selectSceneCuts(changes, 60, 0.5, 0, 0)).toEqual([10, 12, 45, 58]);
+  });
+
+  it('prefers the stronger of two changes closer than the minimum length', () => {
+    expect(selectSceneCuts(changes, 70, 0.4, 5, 0)).toEqual([12, 45, 58]);
+  });
+
+  it('skips changes closer than the minimum length to either end', () => {
+    expect(selectSceneCuts(changes, 60, 0.4, 5, 0)).toEqual([12, 45]);
+    expect(selectSceneCuts([{ time: 0, score: 1 }], 60, 0.1, 0, 0)).toEqual([]);
+  });
+
+  it('keeps the strongest cuts within the maximum number of segments', () => {
+    expect(selectSceneCuts(changes, 60, 0, 0, 3)).toEqual([12, 58]);
+    expect(selectSceneCuts(changes, 60, 0, 0, 1)).toEqual([]);
+  });
+
+  it('returns no cuts when nothing reaches the threshold', () => {
+    expect(selectSceneCuts(changes, 60, 0.95, 0, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+import path from 'path';
+import { SceneSegments, Segment, SegmentSpec } from '../../types';
+import logger from '../logger';
+import { timestampToSeconds } from '../../utils/timestamp';
+import { rangesToSegments } from './ranges';
+
+const DEFAULT_THRESHOLD = 0.3;
+
+// Scores above this floor are kept in the sidecar even when below the threshold,
+// so the threshold can be tuned without re-running detection blindly
+const SIDECAR_SCORE_FLOOR = 0.1;
+
+const SIDECAR_FILE = 'scenes.json';
+
+/**
+ * A scene change reported by ffmpeg, in seconds
+ */
+interface SceneChange {
+  time: number;
+  score: number;
+}
+
+/**
+ * Type guard for the scene-change segmentation mode
+ * @param spec Segment specification of a video
+ * @returns True if the video is cut at scene changes
+ */
+export function isSceneSpec(spec: SegmentSpec): spec is SceneSegments {
+  return (
+    typeof spec === 'object' &&
+    !Array.isArray(spec) &&
+    'mode' in spec &&
+    spec.mode === 'scenes'
+  );
+}
+
+/**
+ * Run ffmpeg scene-score detection over the video of a file
+ * @param inputPath Path to the media file
+ * @param threshold Minimum scene score to report
+ * @returns Scene changes in order
+ */
+export function detectSceneChanges(
+  inputPath: string,
+  threshold: number
+): Promise<SceneChange[]> {
+  return new Promise((resolve, reject) => {
+    const changes: SceneChange[] = [];
+    let pendingTime: number | null = null;
+
+    ffmpeg(inputPath)
+      .noAudio()
+      .videoFilters([`select='gt(scene,${threshold})'`, 'metadata=print'])
+      .format('null')
+      .output('-')
+      .on('start', (commandLine) => {
+        logger.debug(`FFmpeg command: ${commandLine}`);
+      })
+      .on('stderr', (line: string) => {
+        // metadata=print logs "frame:N pts:P pts_time:T" followed by the score
+        const time = /pts_time:([\d.]+)/.exec(line);
+        if (time) {
+          pendingTime = parseFloat(time[1]);
+          return;
+        }
+
+        const score = /lavfi\.scene_score=([\d.]+)/.exec(line);
+        if (score && pendingTime !== null) {
+          changes.push({ time: pendingTime, score: parseFloat(score[1]) });
+          pendingTime = null;
+        }
+      })
+      .on('end', () => resolve(changes))
+      .on('error', (err: Error) => {
+        reject(new Error(`Error detecting scene changes: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Pick the cut points among detected scene changes
+ * The strongest changes win; cuts closer than the minimum length to another
+ * cut or to either end are skipped
+ *
+ * @param changes Detected scene changes
+ * @param duration Duration of the media in seconds
+ * @param threshold Minimum score of a cut
+ * @param minLength Minimum segment length in seconds
+ * @param maxSegments Maximum number of segments (0 for no limit)
+ * @returns Cut times in increasing order
+ */
+export function selectSceneCuts(
+  changes: SceneChange[],
+  duration: number,
+  threshold: number,
+  minLength: number,
+  maxSegments: number
+): number[] {
+  const cuts: number[] = [];
+  const candidates = changes
+    .filter((change) => change.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+
+  for (const { time } of candidates) {
+    if (maxSegments > 0 && cuts.length >= maxSegments - 1) {
+      break;
+    }
+
+    const farEnough = [0, duration, ...cuts].every(
+      (other) => Math.abs(other - time) >= Math.max(minLength, 0.001)
+    );
+    if (farEnough) {
+      cuts.push(time);
+    }
+  }
+
+  return cuts.sort((a, b) => a - b);
+}
+
+/**
+ * Split a media file at scene changes
+ * The detected scores are written to scenes.json in the output directory
+ *
+ * @param inputPath Path to the media file
+ * @param spec Scene detection settings
+ * @param duration Duration of the media in seconds
+ * @param outputDir Output directory of the video, for the score sidecar
+ * @returns The generated segments
+ */
+export async function buildSceneSegments(
+  inputPath: string,
+  spec: SceneSegments,
+  duration: number,
+  outputDir: string
+): Promise<Segment[]> {
+  const threshold = spec.threshold ?? DEFAULT_THRESHOLD;
+  const minLength = spec.minLength ? timestampToSeconds(spec.minLength) : 0;
+  const maxSegments = spec.maxSegments ?? 0;
+
+  logger.info(`Detecting scene changes (threshold ${threshold})`);
+  const changes = await detectSceneChanges(
+    inputPath,
+    Math.min(threshold, SIDECAR_SCORE_FLOOR)
+  );
+  const cuts = selectSceneCuts(
+    changes,
+    duration,
+    threshold,
+    minLength,
+    maxSegments
+  );
+  logger.info(
+    `Detected ${changes.length} candidate scene changes, using ${cuts.length} cuts`
+  );
+
+  await fs.writeJSON(
+    path.join(outputDir, SIDECAR_FILE),
+    {
+      threshold,
+      minLength,
+      maxSegments,
+      scores: changes.map((change) => ({
+        ...change,
+        used: cuts.includes(change.time),
+      })),
+    },
+    { spaces: 2 }
+  );
+
+  const boundaries = [0, ...cuts, duration];
+  return rangesToSegments(
+    boundaries
+      .slice(1)
+      .map((end, index) => ({ start: boundaries[index], end })),
+    spec.name
+  );
+}
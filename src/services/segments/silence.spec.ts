@@ -0,0 +1,98 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildSilenceRanges } from './silence';
+
+describe('buildSilenceRanges', () => {
+  it('cuts in the middle of every pause and covers the whole media', () => {
+    const ranges = buildSilenceRanges(
+      [
+        { start: 9, end: 11 },
+        { start: 29, end: 30 },
+      ],
+      60,
+      0,
+      0
+    );
+
+    expect(ranges).toEqual([
+      { start: 0, end: 10 },
+      { start: 10, end: 29.5 },
+      { start: 29.5, end: 60 },
+    ]);
+  });
+
+  it('returns the whole media when there are no pauses', () => {
+    expect(buildSilenceRanges([], 42, 5, 0)).toEqual([{ start: 0, end: 42 }]);
+  });
+
+  it('ignores pauses at the very start and past the end', () => {
+    const ranges = buildSilenceRanges(
+      [
+        { start: 0, end: 0 },
+        { start: 20, end: 22 },
+        { start: 59, end: 63 },
+      ],
+      60,
+      0,
+      0
+    );
+
+    expect(ranges).toEqual([
+      { start: 0, end: 21 },
+      { start: 21, end: 60 },
+    ]);
+  });
+
+  it('skips cuts that would leave a piece below the minimum length', () => {
+    const ranges = buildSilenceRanges(
+      [
+        { start: 4, end: 6 },
+        { start: 14, end: 16 },
+        { start: 18, end: 20 },
+      ],
+      40,
+      10,
+      0
+    );
+
+    expect(ranges).toEqual([
+      { start: 0, end: 15 },
+      { start: 15, end: 40 },
+    ]);
+  });
+
+  it('merges a too-short final piece into the previous one', () => {
+    const ranges = buildSilenceRanges(
+      [
+        { start: 19, end: 21 },
+        { start: 35, end: 37 },
+      ],
+      40,
+      10,
+      0
+    );
+
+    expect(ranges).toEqual([
+      { start: 0, end: 20 },
+      { start: 20, end: 40 },
+    ]);
+  });
+
+  it('splits pieces longer than the maximum into equal parts', () => {
+    const ranges = buildSilenceRanges([{ start: 9, end: 11 }], 100, 0, 30);
+
+    expect(ranges).toEqual([
+      { start: 0, end: 10 },
+      { start: 10, end: 40 },
+      { start: 40, end: 70 },
+      { start: 70, end: 100 },
+    ]);
+  });
+
+  it('ends split pieces exactly at the range end', () => {
+    const ranges = buildSilenceRanges([], 10, 0, 3);
+
+    expect(ranges).toHaveLength(4);
+    expect(ranges[0].end - ranges[0].start).toBeCloseTo(2.5, 9);
+    expect(ranges[3].end).toBe(10);
+  });
+});
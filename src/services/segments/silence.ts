@@ -0,0 +1,175 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { Segment, SegmentSpec, SilenceSegments } from '../../types';
+import logger from '../logger';
+import { timestampToSeconds } from '../../utils/timestamp';
+import { rangesToSegments, TimeRange } from './ranges';
+
+const DEFAULT_NOISE_DB = -30;
+const DEFAULT_MIN_SILENCE = 1;
+
+/**
+ * A pause reported by ffmpeg's silencedetect filter, in seconds
+ */
+interface Silence {
+  start: number;
+  end: number;
+}
+
+/**
+ * Type guard for the silence-detection segmentation mode
+ * @param spec Segment specification of a video
+ * @returns True if the video is cut at pauses in the audio
+ */
+export function isSilenceSpec(spec: SegmentSpec): spec is SilenceSegments {
+  return (
+    typeof spec === 'object' &&
+    !Array.isArray(spec) &&
+    'mode' in spec &&
+    spec.mode === 'silence'
+  );
+}
+
+/**
+ * Run ffmpeg's silencedetect filter over the audio of a file
+ * @param inputPath Path to the media file
+ * @param noise Noise floor in dB
+ * @param minSilence Minimum pause length in seconds
+ * @returns Detected pauses in order
+ */
+export function detectSilences(
+  inputPath: string,
+  noise: number,
+  minSilence: number
+): Promise<Silence[]> {
+  return new Promise((resolve, reject) => {
+    const silences: Silence[] = [];
+    let pendingStart: number | null = null;
+
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioFilters(`silencedetect=noise=${noise}dB:d=${minSilence}`)
+      .format('null')
+      .output('-')
+      .on('start', (commandLine) => {
+        logger.debug(`FFmpeg command: ${commandLine}`);
+      })
+      .on('stderr', (line: string) => {
+        const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        if (start) {
+          pendingStart = Math.max(0, parseFloat(start[1]));
+          return;
+        }
+
+        const end = /silence_end:\s*([\d.]+)/.exec(line);
+        if (end && pendingStart !== null) {
+          silences.push({ start: pendingStart, end: parseFloat(end[1]) });
+          pendingStart = null;
+        }
+      })
+      .on('end', () => resolve(silences))
+      .on('error', (err: Error) => {
+        reject(new Error(`Error detecting silence: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Split an overlong range into equal pieces no longer than the maximum
+ * @param range Range to split
+ * @param maxLength Maximum piece length in seconds
+ * @returns The pieces
+ */
+function splitRange(range: TimeRange, maxLength: number): TimeRange[] {
+  const count = Math.ceil((range.end - range.start) / maxLength);
+  const length = (range.end - range.start) / count;
+
+  return Array.from({ length: count }, (_, index) => ({
+    start: range.start + index * length,
+    end: index + 1 === count ? range.end : range.start + (index + 1) * length,
+  }));
+}
+
+/**
+ * Turn detected pauses into segment ranges
+ * Cuts are placed in the middle of each pause; pieces shorter than the
+ * minimum are merged and pieces longer than the maximum are split evenly
+ *
+ * @param silences Detected pauses
+ * @param duration Duration of the media in seconds
+ * @param minLength Minimum segment length in seconds
+ * @param maxLength Maximum segment length in seconds (0 for no limit)
+ * @returns Segment ranges covering the whole media
+ */
+export function buildSilenceRanges(
+  silences: Silence[],
+  duration: number,
+  minLength: number,
+  maxLength: number
+): TimeRange[] {
+  const cuts: number[] = [];
+  let last = 0;
+
+  for (const silence of silences) {
+    const cut = (silence.start + silence.end) / 2;
+
+    // Ignore pauses at the very start/end and pieces below the minimum
+    if (cut - last >= Math.max(minLength, 0.001) && cut < duration) {
+      cuts.push(cut);
+      last = cut;
+    }
+  }
+
+  // Merge a too-short final piece into the previous one
+  if (cuts.length > 0 && duration - cuts[cuts.length - 1] < minLength) {
+    cuts.pop();
+  }
+
+  const boundaries = [0, ...cuts, duration];
+  const ranges = boundaries
+    .slice(1)
+    .map((end, index) => ({ start: boundaries[index], end }));
+
+  return maxLength > 0
+    ? ranges.flatMap((range) =>
+        range.end - range.start > maxLength
+          ? splitRange(range, maxLength)
+          : [range]
+      )
+    : ranges;
+}
+
+/**
+ * Split a media file at pauses in its audio
+ * @param inputPath Path to the media file
+ * @param spec Silence detection settings
+ * @param duration Duration of the media in seconds
+ * @returns The generated segments
+ */
+export async function buildSilenceSegments(
+  inputPath: string,
+  spec: SilenceSegments,
+  duration: number
+): Promise<Segment[]> {
+  const noise = spec.noise ?? DEFAULT_NOISE_DB;
+  const minSilence = spec.minSilence ?? DEFAULT_MIN_SILENCE;
+  const minLength = spec.minLength ? timestampToSeconds(spec.minLength) : 0;
+  const maxLength = spec.maxLength ? timestampToSeconds(spec.maxLength) : 0;
+
+  if (maxLength > 0 && maxLength < minLength) {
+    throw new Error(
+      `Silence maxLength (${spec.maxLength}) must not be shorter than minLength (${spec.minLength})`
+    );
+  }
+
+  logger.info(
+    `Detecting silence (noise floor ${noise}dB, minimum pause ${minSilence}s)`
+  );
+  const silences = await detectSilences(inputPath, noise, minSilence);
+  logger.info(`Detected ${silences.length} pauses`);
+
+  return rangesToSegments(
+    buildSilenceRanges(silences, duration, minLength, maxLength),
+    spec.name
+  );
+}
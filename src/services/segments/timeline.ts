@@ -0,0 +1,154 @@
+import { RangePolicy, Segment } from '../../types';
+import {
+  formatTimestamp,
+  resolveSegmentTimes,
+  roundSeconds,
+} from '../../utils/timestamp';
+import { TimeRange } from './ranges';
+
+// Overshoot tolerated silently, since chapter lists and container durations
+// are often rounded differently
+const END_TOLERANCE = 0.5;
+
+// Smallest gap or overlap worth reporting
+const MIN_REPORTED = 0.001;
+
+/**
+ * A segment with the times that will actually be cut
+ */
+export interface PlannedSegment {
+  /** Position of the segment in the configuration */
+  index: number;
+  name: string;
+  /** Effective times in seconds */
+  start: number;
+  end: number;
+  duration: number;
+  /** True when the end was moved back to the end of the media */
+  clamped: boolean;
+  /** True when the segment starts after the end of the media and is not cut */
+  skipped: boolean;
+}
+
+/**
+ * Two segments covering the same part of the media
+ */
+export interface SegmentOverlap extends TimeRange {
+  /** Indexes of the overlapping segments */
+  segments: [number, number];
+}
+
+/**
+ * Segments checked against the media they are cut from
+ */
+export interface SegmentPlan {
+  /** Probed duration of the media, or null when it could not be determined */
+  mediaDuration: number | null;
+  segments: PlannedSegment[];
+  /** Parts of the media between segments that no segment covers */
+  gaps: TimeRange[];
+  overlaps: SegmentOverlap[];
+}
+
+/**
+ * Resolve segments against the duration of the media
+ * Segments ending past the media are clamped or rejected according to the
+ * policy; segments starting after it are skipped or rejected
+ *
+ * @param segments Segments to cut
+ * @param mediaDuration Probed duration of the media, or null if unknown
+ * @param policy What to do with segments reaching past the end
+ * @returns The effective segments with their gaps and overlaps
+ */
+export function planSegments(
+  segments: Segment[],
+  mediaDuration: number | null,
+  policy: RangePolicy
+): SegmentPlan {
+  const planned = segments.map((segment, index): PlannedSegment => {
+    const name = segment.name || `segment_${index + 1}`;
+    const times = resolveSegmentTimes(
+      segment,
+      index,
+      mediaDuration === null ? undefined : mediaDuration
+    );
+    const result = { index, name, ...times, clamped: false, skipped: false };
+
+    if (mediaDuration === null || times.end <= mediaDuration) {
+      return result;
+    }
+
+    const label = `Segment ${index + 1} (${JSON.stringify(name)})`;
+
+    if (times.start >= mediaDuration) {
+      if (policy === 'reject') {
+        throw new Error(
+          `${label}: starts at ${formatTimestamp(
+            times.start
+          )}, after the end of the video (${formatTimestamp(mediaDuration)})`
+        );
+      }
+      return { ...result, skipped: true };
+    }
+
+    if (policy === 'reject' && times.end - mediaDuration > END_TOLERANCE) {
+      throw new Error(
+        `${label}: ends at ${formatTimestamp(
+          times.end
+        )}, after the end of the video (${formatTimestamp(mediaDuration)})`
+      );
+    }
+
+    return {
+      ...result,
+      end: mediaDuration,
+      duration: roundSeconds(mediaDuration - times.start),
+      clamped: true,
+    };
+  });
+
+  return {
+    mediaDuration,
+    segments: planned,
+    ...findGapsAndOverlaps(planned.filter((segment) => !segment.skipped)),
+  };
+}
+
+/**
+ * Find the uncovered parts between segments and the segments covering the same time
+ * @param segments Segments to check
+ * @returns Gaps and overlaps, in timeline order
+ */
+function findGapsAndOverlaps(
+  segments: PlannedSegment[]
+): Pick<SegmentPlan, 'gaps' | 'overlaps'> {
+  const gaps: TimeRange[] = [];
+  const overlaps: SegmentOverlap[] = [];
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+
+  // The segment reaching furthest so far
+  let furthest: PlannedSegment | undefined;
+
+  for (const segment of sorted) {
+    if (!furthest) {
+      furthest = segment;
+      continue;
+    }
+
+    if (segment.start - furthest.end >= MIN_REPORTED) {
+      gaps.push({ start: furthest.end, end: segment.start });
+    } else if (furthest.end - segment.start >= MIN_REPORTED) {
+      overlaps.push({
+        segments: [furthest.index, segment.index],
+        start: segment.start,
+        end: Math.min(furthest.end, segment.end),
+      });
+    }
+
+    if (segment.end > furthest.end) {
+      furthest = segment;
+    }
+  }
+
+  return { gaps, overlaps };
+}
@@ -0,0 +1,224 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+import path from 'path';
+import logger from './logger';
+import { OutputFormat, SegmentOptions } from './processor';
+import { findNextKeyframe, getKeyframes, KEYFRAME_EPSILON } from './keyframes';
+import { formatTimestamp, roundSeconds } from '../utils/timestamp';
+
+// Encoders able to produce a stream that can be joined to a copy of the source
+const VIDEO_ENCODERS: Record<string, string> = {
+  h264: 'libx264',
+  hevc: 'libx265',
+};
+const AUDIO_ENCODERS: Record<string, string> = {
+  aac: 'aac',
+  mp3: 'libmp3lame',
+  opus: 'libopus',
+};
+
+const QUALITY_CRF = { high: 18, medium: 22, low: 28 };
+
+/**
+ * How a smart cut was put together
+ */
+export interface SmartCutResult {
+  /** Re-encoded part from the cut point to the first keyframe, in seconds */
+  encoded: number;
+  /** Stream-copied part from the first keyframe to the end, in seconds */
+  copied: number;
+}
+
+/**
+ * Run an ffmpeg command to completion
+ * @param command Configured ffmpeg command
+ * @param description What the command does, for error messages
+ */
+function runCommand(
+  command: ffmpeg.FfmpegCommand,
+  description: string
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    command
+      .on('start', (commandLine) => {
+        logger.debug(`FFmpeg command: ${commandLine}`);
+      })
+      .on('end', () => resolve())
+      .on('error', (err: Error) => {
+        reject(new Error(`Error ${description}: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Build the encoder options for the re-encoded head of a smart cut
+ * The head must use the same codecs and stream layout as the source,
+ * otherwise it cannot be joined to the stream-copied rest
+ *
+ * @param metadata Probe data of the source
+ * @param quality Output quality
+ * @returns ffmpeg output options
+ */
+function getHeadEncodeOptions(
+  metadata: ffmpeg.FfprobeData,
+  quality: NonNullable<SegmentOptions['quality']>
+): string[] {
+  const video = metadata.streams.find(
+    (stream) => stream.codec_type === 'video'
+  );
+  const audio = metadata.streams.find(
+    (stream) => stream.codec_type === 'audio'
+  );
+
+  const videoEncoder = video && VIDEO_ENCODERS[video.codec_name || ''];
+  if (!video || !videoEncoder) {
+    throw new Error(
+      `Smart cut does not support video codec ${
+        video ? video.codec_name : '(none)'
+      }`
+    );
+  }
+
+  const options = [
+    '-map 0:v:0',
+    `-c:v ${videoEncoder}`,
+    `-crf ${QUALITY_CRF[quality]}`,
+    '-preset fast',
+  ];
+  if (video.pix_fmt) {
+    options.push(`-pix_fmt ${video.pix_fmt}`);
+  }
+
+  if (!audio) {
+    return [...options, '-an'];
+  }
+
+  const audioEncoder = AUDIO_ENCODERS[audio.codec_name || ''];
+  if (!audioEncoder) {
+    throw new Error(
+      `Smart cut does not support audio codec ${audio.codec_name}`
+    );
+  }
+
+  options.push('-map 0:a:0', `-c:a ${audioEncoder}`);
+  if (audio.sample_rate) {
+    options.push(`-ar ${audio.sample_rate}`);
+  }
+  if (audio.channels) {
+    options.push(`-ac ${audio.channels}`);
+  }
+
+  return options;
+}
+
+/**
+ * Cut a segment frame-accurately at near stream-copy speed
+ * Only the part between the cut point and the next keyframe is re-encoded;
+ * the rest is stream-copied and both parts are joined with the concat demuxer
+ *
+ * @param inputPath Path to the input video file
+ * @param outputPath Path of the segment to write
+ * @param start Start of the segment in seconds
+ * @param end End of the segment in seconds
+ * @param metadata Probe data of the input
+ * @param options Output format and quality
+ * @returns Lengths of the re-encoded and copied parts
+ */
+export async function smartCutSegment(
+  inputPath: string,
+  outputPath: string,
+  start: number,
+  end: number,
+  metadata: ffmpeg.FfprobeData,
+  options: {
+    format: OutputFormat;
+    quality: NonNullable<SegmentOptions['quality']>;
+  }
+): Promise<SmartCutResult> {
+  if (options.format === 'webm') {
+    throw new Error('Smart cut is not supported for webm output');
+  }
+
+  const encodeOptions = getHeadEncodeOptions(metadata, options.quality);
+  const keyframe = findNextKeyframe(await getKeyframes(inputPath), start);
+
+  // Where the copied part starts; the whole segment is encoded when no keyframe falls inside it
+  const copyFrom =
+    keyframe === null || keyframe >= end - KEYFRAME_EPSILON
+      ? end
+      : Math.max(keyframe, start);
+  const encoded = roundSeconds(copyFrom - start);
+  const copied = roundSeconds(end - copyFrom);
+
+  logger.debug(
+    `Smart cut ${formatTimestamp(start)} - ${formatTimestamp(
+      end
+    )}: encoding ${encoded}s, copying ${copied}s`
+  );
+
+  // Parts are written as MPEG-TS, which carries codec parameters in-band
+  // and can be concatenated even when the encoder settings differ
+  const headPath = `${outputPath}.head.ts`;
+  const tailPath = `${outputPath}.tail.ts`;
+  const listPath = `${outputPath}.parts.txt`;
+  const parts: string[] = [];
+
+  try {
+    if (encoded > KEYFRAME_EPSILON) {
+      await runCommand(
+        ffmpeg(inputPath)
+          .setStartTime(start)
+          .duration(encoded)
+          .outputOptions(encodeOptions)
+          .output(headPath),
+        'encoding segment head'
+      );
+      parts.push(headPath);
+    }
+
+    if (copied > KEYFRAME_EPSILON) {
+      await runCommand(
+        ffmpeg(inputPath)
+          // Seeking to a keyframe with stream copy starts exactly on it
+          .setStartTime(copyFrom)
+          .duration(copied)
+          .outputOptions([
+            '-map 0:v:0',
+            '-map 0:a:0?',
+            '-c copy',
+            '-avoid_negative_ts make_zero',
+          ])
+          .output(tailPath),
+        'copying segment tail'
+      );
+      parts.push(tailPath);
+    }
+
+    // The concat demuxer resolves relative entries against the list's directory
+    await fs.writeFile(
+      listPath,
+      parts
+        .map((part) => `file '${path.resolve(part).replace(/'/g, "'\\''")}'`)
+        .join('\n') + '\n'
+    );
+
+    const containerOptions =
+      options.format === 'mp4' ? ['-movflags faststart'] : [];
+
+    await runCommand(
+      ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f concat', '-safe 0'])
+        .outputOptions(['-c copy', ...containerOptions])
+        .output(outputPath),
+      'joining segment parts'
+    );
+
+    return { encoded, copied };
+  } finally {
+    await Promise.all(
+      [headPath, tailPath, listPath].map((file) => fs.remove(file))
+    );
+  }
+}
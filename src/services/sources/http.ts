@@ -0,0 +1,647 @@
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  ChapterList,
+  DownloadOptions,
+  FetchedMedia,
+  MediaRange,
+  SourceProvider,
+} from '../../types';
+import logger from '../logger';
+import {
+  createProgressReporter,
+  downloadMediaRanges,
+  verifyDownload,
+} from '../downloader';
+import { getEmbeddedChapters, getMediaDuration } from '../processor';
+import { getRangesKey } from '../partial';
+import { getCacheEntryDir, offlineError, requireOnline } from '../cache';
+import config from '../../config';
+import { sanitizeFileName } from '../../utils/string';
+
+const MAX_REDIRECTS = 5;
+
+// Milliseconds without any data after which a request is abandoned
+const REQUEST_TIMEOUT = 30000;
+
+// Extensions used when the URL path does not carry a usable one
+const CONTENT_TYPE_EXTENSIONS: Record<string, string> = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/x-matroska': '.mkv',
+  'video/quicktime': '.mov',
+  'video/mp2t': '.ts',
+  'video/x-msvideo': '.avi',
+  'video/x-flv': '.flv',
+  'video/ogg': '.ogv',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/ogg': '.ogg',
+  'audio/opus': '.opus',
+  'audio/flac': '.flac',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/webm': '.webm',
+};
+
+const MEDIA_EXTENSIONS = new Set([
+  ...Object.values(CONTENT_TYPE_EXTENSIONS),
+  '.m4v',
+  '.mpg',
+  '.mpeg',
+  '.wmv',
+  '.aac',
+]);
+
+/**
+ * Response headers describing a remote file
+ */
+interface RemoteFileInfo {
+  /** Final URL after redirects */
+  url: string;
+  contentType?: string;
+  contentLength?: number;
+  etag?: string;
+  lastModified?: string;
+  acceptRanges: boolean;
+}
+
+/**
+ * State of a download kept next to the temp file, used for resuming and revalidation
+ */
+interface DownloadState {
+  url: string;
+  fileName: string;
+  etag?: string;
+  lastModified?: string;
+  contentLength?: number;
+  complete: boolean;
+}
+
+/**
+ * Send an HTTP(S) request, following redirects
+ * A request whose socket stays idle for `REQUEST_TIMEOUT`, before or during
+ * the response, fails with a "timed out" error, which is retried as transient
+ *
+ * @param url URL to request
+ * @param method HTTP method
+ * @param headers Request headers
+ * @param redirects Number of redirects already followed
+ * @returns The response and the final URL
+ */
+function sendRequest(
+  url: string,
+  method: 'GET' | 'HEAD',
+  headers: Record<string, string> = {},
+  redirects = 0
+): Promise<{ response: http.IncomingMessage; url: string }> {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+
+    const request = client.request(url, { method, headers }, (response) => {
+      const status = response.statusCode || 0;
+      const location = response.headers.location;
+
+      if (status >= 300 && status < 400 && status !== 304 && location) {
+        response.resume();
+
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects while requesting ${url}`));
+          return;
+        }
+
+        const nextUrl = new URL(location, url).toString();
+        sendRequest(nextUrl, method, headers, redirects + 1).then(
+          resolve,
+          reject
+        );
+        return;
+      }
+
+      resolve({ response, url });
+    });
+
+    // Destroying the request also fails a response that is being read
+    request.setTimeout(REQUEST_TIMEOUT, () => {
+      request.destroy(
+        new Error(
+          `Request timed out after ${
+            REQUEST_TIMEOUT / 1000
+          } s without data: ${url}`
+        )
+      );
+    });
+
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Extract the file information from response headers
+ * @param response HTTP response
+ * @param url Final URL of the response
+ * @returns Remote file information
+ */
+function toRemoteFileInfo(
+  response: http.IncomingMessage,
+  url: string
+): RemoteFileInfo {
+  const headers = response.headers;
+  const contentLength = parseInt(headers['content-length'] || '', 10);
+
+  return {
+    url,
+    contentType: headers['content-type']?.split(';')[0].trim().toLowerCase(),
+    contentLength: Number.isNaN(contentLength) ? undefined : contentLength,
+    etag: headers.etag,
+    lastModified: headers['last-modified'],
+    acceptRanges: headers['accept-ranges'] === 'bytes',
+  };
+}
+
+/**
+ * Fetch the headers of a remote file
+ * Falls back to a GET request for servers that reject HEAD
+ *
+ * @param url URL of the file
+ * @param headers Extra request headers (e.g. conditional headers)
+ * @returns The response status and file information
+ */
+async function probeRemoteFile(
+  url: string,
+  headers: Record<string, string> = {}
+): Promise<{ status: number; info: RemoteFileInfo }> {
+  let result = await sendRequest(url, 'HEAD', headers);
+  result.response.resume();
+
+  if (result.response.statusCode === 405) {
+    result = await sendRequest(url, 'GET', headers);
+    result.response.destroy();
+  }
+
+  const status = result.response.statusCode || 0;
+  if (status >= 400) {
+    throw new Error(`HTTP ${status} while requesting ${url}`);
+  }
+
+  return { status, info: toRemoteFileInfo(result.response, result.url) };
+}
+
+/**
+ * Build a stable base name for the temp file of a URL
+ * The short hash keeps files from different URLs with the same name apart
+ *
+ * @param url Source URL
+ * @returns Base name without extension
+ */
+function getBaseName(url: string): string {
+  const { pathname } = new URL(url);
+  const fileName = decodeURIComponent(path.basename(pathname));
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  const name = sanitizeFileName(
+    path.basename(fileName, path.extname(fileName)) || 'download',
+    'download'
+  );
+
+  return `${name}_${hash}`;
+}
+
+/**
+ * Pick the file extension of a download
+ * A media extension in the URL wins, then the content type, then .mp4
+ *
+ * @param url Source URL
+ * @param contentType Content type reported by the server
+ * @returns Extension including the leading dot
+ */
+export function detectExtension(url: string, contentType?: string): string {
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+
+  if (MEDIA_EXTENSIONS.has(extension)) {
+    return extension;
+  }
+
+  if (contentType && CONTENT_TYPE_EXTENSIONS[contentType]) {
+    return CONTENT_TYPE_EXTENSIONS[contentType];
+  }
+
+  return '.mp4';
+}
+
+/**
+ * Check whether the remote file still matches a recorded download state
+ * @param state Recorded download state
+ * @param info Current remote file information
+ * @returns True if the validators match
+ */
+function isSameRemoteFile(state: DownloadState, info: RemoteFileInfo): boolean {
+  if (state.etag || info.etag) {
+    return state.etag === info.etag;
+  }
+  if (state.lastModified || info.lastModified) {
+    return state.lastModified === info.lastModified;
+  }
+  return state.contentLength === info.contentLength;
+}
+
+/**
+ * Build the conditional request headers for a recorded download
+ * @param state Recorded download state
+ * @returns Headers for revalidating the cached file
+ */
+function getConditionalHeaders(state: DownloadState): Record<string, string> {
+  const headers: Record<string, string> = {};
+  if (state.etag) {
+    headers['If-None-Match'] = state.etag;
+  }
+  if (state.lastModified) {
+    headers['If-Modified-Since'] = state.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * Read the recorded download state
+ * @param statePath Path of the state file
+ * @returns The state, or null if there is none
+ */
+async function readDownloadState(
+  statePath: string
+): Promise<DownloadState | null> {
+  if (!(await fs.pathExists(statePath))) {
+    return null;
+  }
+
+  try {
+    return (await fs.readJSON(statePath)) as DownloadState;
+  } catch (err) {
+    logger.warn(`Ignoring unreadable download state: ${statePath}`);
+    return null;
+  }
+}
+
+/**
+ * Download a remote file into a .part file, resuming it when possible
+ * A partial file the server cannot resume (HTTP 416) is kept when it already
+ * has the full length, and downloaded again otherwise
+ *
+ * @param info Remote file information
+ * @param partPath Path of the partial file
+ * @param resume Whether an existing partial file may be resumed
+ * @returns Resolves once the partial file is complete
+ */
+async function downloadToPart(
+  info: RemoteFileInfo,
+  partPath: string,
+  resume: boolean
+): Promise<void> {
+  let offset = 0;
+  const headers: Record<string, string> = {};
+
+  if (resume && info.acceptRanges && (await fs.pathExists(partPath))) {
+    offset = (await fs.stat(partPath)).size;
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      // Only honour the range if the file did not change in the meantime
+      const validator = info.etag || info.lastModified;
+      if (validator) {
+        headers['If-Range'] = validator;
+      }
+    }
+  }
+
+  const { response } = await sendRequest(info.url, 'GET', headers);
+  const status = response.statusCode || 0;
+
+  // A range past the end: the previous run was stopped after the last byte
+  // but before the file was verified, or the partial file is too long
+  if (offset > 0 && status === 416) {
+    response.resume();
+
+    if (info.contentLength && offset === info.contentLength) {
+      logger.info('Partial file is already complete, verifying it');
+      return;
+    }
+
+    logger.info('Partial file does not match the remote file, restarting');
+    await fs.remove(partPath);
+    return downloadToPart(info, partPath, false);
+  }
+
+  if (status >= 400) {
+    response.resume();
+    throw new Error(`HTTP ${status} while downloading ${info.url}`);
+  }
+
+  if (offset > 0 && status === 206) {
+    logger.info(`Resuming download at byte ${offset}`);
+  } else {
+    if (offset > 0) {
+      logger.info('Server did not honour the range request, restarting');
+    }
+    offset = 0;
+  }
+
+  const total =
+    info.contentLength ||
+    offset + parseInt(response.headers['content-length'] || '0', 10);
+  const reportProgress = createProgressReporter();
+  let downloaded = offset;
+
+  await new Promise<void>((resolve, reject) => {
+    const fileStream = fs.createWriteStream(partPath, {
+      flags: offset > 0 ? 'a' : 'w',
+    });
+
+    response.on('data', (chunk: Buffer) => {
+      downloaded += chunk.length;
+      reportProgress(downloaded, total);
+    });
+
+    response.pipe(fileStream);
+
+    fileStream.on('finish', () => resolve());
+
+    fileStream.on('error', (err: Error) => {
+      logger.error(`Error writing video file: ${err.message}`);
+      reject(err);
+    });
+
+    response.on('error', (err: Error) => {
+      logger.error(`Error downloading video: ${err.message}`);
+      reject(err);
+    });
+
+    response.on('aborted', () => {
+      reject(new Error(`Download interrupted after ${downloaded} bytes`));
+    });
+  });
+
+  if (info.contentLength && downloaded !== info.contentLength) {
+    throw new Error(
+      `Incomplete download: got ${downloaded} of ${info.contentLength} bytes`
+    );
+  }
+}
+
+/**
+ * Find the complete download of a URL in a directory, without any request
+ * @param url URL of the media file
+ * @param outputDir Directory the file was downloaded to
+ * @returns Path of the downloaded file, or null if there is none
+ */
+async function findCompleteDownload(
+  url: string,
+  outputDir: string
+): Promise<string | null> {
+  const state = await readDownloadState(
+    path.join(outputDir, `${getBaseName(url)}.download.json`)
+  );
+
+  if (!state || !state.complete) {
+    return null;
+  }
+
+  const filePath = path.join(outputDir, state.fileName);
+  return (await fs.pathExists(filePath)) ? filePath : null;
+}
+
+/**
+ * Download a file from an HTTP(S) server into the output directory
+ * Interrupted downloads are resumed with Range requests and complete ones
+ * are revalidated with ETag/Last-Modified and checked for corruption before
+ * being reused
+ *
+ * @param url URL of the media file
+ * @param outputDir Output directory
+ * @returns Path to the downloaded file
+ */
+export async function downloadHttpFile(
+  url: string,
+  outputDir: string
+): Promise<string> {
+  logger.info(`Starting download for: ${url}`);
+  await fs.ensureDir(outputDir);
+
+  // Offline, a complete download is reused without revalidation
+  if (config.offline) {
+    const cachedPath = await findCompleteDownload(url, outputDir);
+
+    if (cachedPath) {
+      await verifyDownload(cachedPath);
+      logger.info(`Video already downloaded: ${cachedPath}`);
+      return cachedPath;
+    }
+
+    throw offlineError(`download of ${url}`);
+  }
+
+  const baseName = getBaseName(url);
+  const statePath = path.join(outputDir, `${baseName}.download.json`);
+  const state = await readDownloadState(statePath);
+
+  // Revalidate a complete cached download before reusing it
+  if (state && state.complete) {
+    const cachedPath = path.join(outputDir, state.fileName);
+
+    if (await fs.pathExists(cachedPath)) {
+      const probe = await probeRemoteFile(url, getConditionalHeaders(state));
+
+      if (probe.status === 304 || isSameRemoteFile(state, probe.info)) {
+        try {
+          await verifyDownload(cachedPath, state.contentLength);
+          logger.info(`Video already downloaded: ${cachedPath}`);
+          return cachedPath;
+        } catch (err) {
+          logger.warn(
+            `Downloaded video is unusable, downloading it again: ${
+              err instanceof Error ? err.message : String(err)
+            }`
+          );
+        }
+      } else {
+        logger.info('Remote file changed since it was downloaded, refreshing');
+      }
+
+      await fs.remove(cachedPath);
+    }
+  }
+
+  // Probe without conditions, even after a revalidation: a 304 response
+  // carries no length or range support to download with
+  const info = (await probeRemoteFile(url)).info;
+
+  const fileName = `${baseName}${detectExtension(info.url, info.contentType)}`;
+  const filePath = path.join(outputDir, fileName);
+  const partPath = `${filePath}.part`;
+
+  // A partial file can only be resumed if it belongs to the same remote file
+  const canResume =
+    !!state &&
+    !state.complete &&
+    state.fileName === fileName &&
+    isSameRemoteFile(state, info);
+
+  const newState: DownloadState = {
+    url,
+    fileName,
+    etag: info.etag,
+    lastModified: info.lastModified,
+    contentLength: info.contentLength,
+    complete: false,
+  };
+  await fs.writeJSON(statePath, newState, { spaces: 2 });
+
+  logger.info(`Downloading video: ${fileName}`);
+  await downloadToPart(info, partPath, canResume);
+
+  try {
+    await verifyDownload(partPath, info.contentLength);
+  } catch (err) {
+    // Start from scratch next time instead of resuming a corrupt file
+    await fs.remove(partPath);
+    throw err;
+  }
+
+  await fs.move(partPath, filePath, { overwrite: true });
+  await fs.writeJSON(statePath, { ...newState, complete: true }, { spaces: 2 });
+
+  logger.info(`Download completed: ${fileName}`);
+  return filePath;
+}
+
+/**
+ * Download only some time ranges of a remote file
+ * ffmpeg seeks over HTTP with byte-range requests, so the server must accept them
+ *
+ * @param url URL of the media file
+ * @param outputDir Output directory
+ * @param ranges Ranges of the media to download
+ * @returns The partial download, or null if the whole file should be downloaded
+ */
+async function downloadHttpRanges(
+  url: string,
+  outputDir: string,
+  ranges: MediaRange[]
+): Promise<FetchedMedia | null> {
+  // Matroska holds whatever codecs the source uses
+  const filePath = path.join(
+    outputDir,
+    `${getBaseName(url)}.${getRangesKey(ranges)}.mkv`
+  );
+
+  try {
+    await fs.ensureDir(outputDir);
+
+    if (!config.offline && !(await probeRemoteFile(url)).info.acceptRanges) {
+      logger.info(
+        'Server does not accept range requests, downloading the whole file'
+      );
+      return null;
+    }
+
+    return {
+      path: filePath,
+      ranges: await downloadMediaRanges([url], ranges, filePath, 'mkv'),
+    };
+  } catch (err) {
+    logger.warn(
+      `Partial download failed, downloading the whole file: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+    return null;
+  }
+}
+
+/**
+ * Source provider for media files served over plain HTTP(S)
+ * Registered after the YouTube provider so YouTube URLs keep using ytdl
+ */
+const httpSource: SourceProvider = {
+  name: 'http',
+  schemes: ['http', 'https'],
+
+  async resolveMetadata(url: string) {
+    // Offline, the name comes from the URL as given instead of after redirects
+    const finalUrl = config.offline
+      ? url
+      : (await probeRemoteFile(url)).info.url;
+    const fileName = decodeURIComponent(
+      path.basename(new URL(finalUrl).pathname)
+    );
+
+    // Partial downloads need the duration; it is read from the container
+    // index, like the chapters
+    let duration: number | undefined;
+    if (!config.offline) {
+      try {
+        duration = await getMediaDuration(finalUrl);
+      } catch (err) {
+        logger.debug(`Could not read the duration of ${url}`);
+      }
+    }
+
+    return {
+      id: getBaseName(url),
+      title: path.basename(fileName, path.extname(fileName)) || url,
+      duration,
+    };
+  },
+
+  async listChapters(url: string): Promise<ChapterList> {
+    let input = url;
+
+    if (config.offline) {
+      const cachedPath = await findCompleteDownload(
+        url,
+        getCacheEntryDir(httpSource.name, getBaseName(url))
+      );
+      if (!cachedPath) {
+        throw offlineError(`download of ${url}`);
+      }
+      input = cachedPath;
+    }
+
+    try {
+      // ffprobe reads the container index over HTTP without a full download
+      const segments = await getEmbeddedChapters(input);
+      return { segments, source: segments.length > 0 ? 'chapters' : 'none' };
+    } catch (err) {
+      logger.warn(
+        `Could not read chapters from ${url}: ${
+          err instanceof Error ? err.message : String(err)
+        }`
+      );
+      return { segments: [], source: 'none' };
+    }
+  },
+
+  async fetchMedia(
+    url: string,
+    outputDir: string,
+    options?: DownloadOptions,
+    ranges?: MediaRange[]
+  ) {
+    if (ranges && ranges.length > 0) {
+      const partial = await downloadHttpRanges(url, outputDir, ranges);
+      if (partial) {
+        return partial;
+      }
+    }
+
+    return { path: await downloadHttpFile(url, outputDir) };
+  },
+
+  async getStreamInputs(url: string) {
+    requireOnline(`streaming ${url}`);
+    return [url];
+  },
+};
+
+export default httpSource;
@@ -0,0 +1,80 @@
+import { SourceProvider, VideoConfig } from '../../types';
+import httpSource from './http';
+import localSource from './local';
+import youtubeSource from './youtube';
+
+// Registered providers, in the order they are tried for URL matching
+const providers: SourceProvider[] = [];
+
+/**
+ * Register a source provider
+ * Providers registered first take precedence when several match a URL
+ *
+ * @param provider The provider to register
+ */
+export function registerSourceProvider(provider: SourceProvider): void {
+  if (providers.some((existing) => existing.name === provider.name)) {
+    throw new Error(`Source provider already registered: ${provider.name}`);
+  }
+  providers.push(provider);
+}
+
+/**
+ * Get the names of all registered source providers
+ * @returns Provider names in registration order
+ */
+export function getSourceProviderNames(): string[] {
+  return providers.map((provider) => provider.name);
+}
+
+/**
+ * Extract the scheme of a URL
+ * Plain paths (including Windows drive letters) have no scheme
+ *
+ * @param url URL to inspect
+ * @returns Lower-case scheme without the trailing colon, or '' if there is none
+ */
+export function getUrlScheme(url: string): string {
+  const match = /^([a-z][a-z0-9+.-]+):/i.exec(url);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Select the source provider for a video
+ * An explicit `source` field wins; otherwise the URL scheme decides
+ *
+ * @param video Video configuration
+ * @returns The provider responsible for the video
+ */
+export function getSourceProvider(video: VideoConfig): SourceProvider {
+  if (video.source) {
+    const provider = providers.find((item) => item.name === video.source);
+    if (!provider) {
+      throw new Error(
+        `Unknown source '${
+          video.source
+        }' (available: ${getSourceProviderNames().join(', ')})`
+      );
+    }
+    return provider;
+  }
+
+  const scheme = getUrlScheme(video.url);
+  const provider = providers.find(
+    (item) =>
+      item.schemes.includes(scheme) &&
+      (!item.matches || item.matches(video.url))
+  );
+
+  if (!provider) {
+    throw new Error(`No source provider can handle URL: ${video.url}`);
+  }
+
+  return provider;
+}
+
+// Built-in providers
+// YouTube must come before the generic HTTP provider, which accepts any URL
+registerSourceProvider(youtubeSource);
+registerSourceProvider(httpSource);
+registerSourceProvider(localSource);
@@ -0,0 +1,73 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ChapterList, SourceProvider } from '../../types';
+import logger from '../logger';
+import { getEmbeddedChapters, getVideoMetadata } from '../processor';
+import { safeGetNested } from '../../utils/guards';
+
+/**
+ * Resolve a local path or file:// URL to an absolute file path
+ * @param url Local path (relative to the working directory) or file:// URL
+ * @returns Absolute path of the file
+ */
+export function resolveLocalPath(url: string): string {
+  if (url.toLowerCase().startsWith('file:')) {
+    return fileURLToPath(url);
+  }
+  return path.resolve(process.cwd(), url);
+}
+
+/**
+ * Resolve a local input and make sure it exists
+ * @param url Local path or file:// URL
+ * @returns Absolute path of the existing file
+ */
+async function requireLocalFile(url: string): Promise<string> {
+  const filePath = resolveLocalPath(url);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`Local file not found: ${filePath}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Source provider for files that are already on disk
+ * The media is used in place, so there is no download step
+ */
+const localSource: SourceProvider = {
+  name: 'local',
+  schemes: ['file', ''],
+  inPlace: true,
+
+  async resolveMetadata(url: string) {
+    const filePath = await requireLocalFile(url);
+    const metadata = await getVideoMetadata(filePath);
+    const baseName = path.basename(filePath, path.extname(filePath));
+
+    return {
+      id: baseName,
+      title: safeGetNested(metadata, ['format', 'tags', 'title'], baseName),
+      author:
+        safeGetNested(metadata, ['format', 'tags', 'artist'], '') || undefined,
+      duration: Number(metadata.format.duration) || undefined,
+      origin: filePath,
+    };
+  },
+
+  async listChapters(url: string): Promise<ChapterList> {
+    const segments = await getEmbeddedChapters(await requireLocalFile(url));
+    return { segments, source: segments.length > 0 ? 'chapters' : 'none' };
+  },
+
+  async fetchMedia(url: string) {
+    // Local files are segmented in place
+    const filePath = await requireLocalFile(url);
+    logger.info(`Using local file: ${filePath}`);
+    return { path: filePath };
+  },
+};
+
+export default localSource;
@@ -0,0 +1,43 @@
+import { DownloadOptions, MediaRange, SourceProvider } from '../../types';
+import {
+  detectVideoChapters,
+  downloadVideo,
+  getStreamUrls,
+  getYouTubeMetadata,
+  isYouTubeUrl,
+} from '../downloader';
+
+/**
+ * Source provider for YouTube videos, backed by ytdl-core
+ */
+const youtubeSource: SourceProvider = {
+  name: 'youtube',
+  schemes: ['http', 'https'],
+
+  matches(url: string): boolean {
+    return isYouTubeUrl(url);
+  },
+
+  resolveMetadata(url: string) {
+    return getYouTubeMetadata(url);
+  },
+
+  listChapters(url: string) {
+    return detectVideoChapters(url);
+  },
+
+  fetchMedia(
+    url: string,
+    outputDir: string,
+    options?: DownloadOptions,
+    ranges?: MediaRange[]
+  ) {
+    return downloadVideo(url, outputDir, options, ranges);
+  },
+
+  getStreamInputs(url: string, options?: DownloadOptions) {
+    return getStreamUrls(url, options);
+  },
+};
+
+export default youtubeSource;
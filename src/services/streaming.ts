@@ -0,0 +1,247 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+import { Segment, SourceMetadata } from '../types';
+import logger from './logger';
+import config from '../config';
+import { formatTimestamp, roundSeconds } from '../utils/timestamp';
+import { planSegments, SegmentPlan } from './segments/timeline';
+import {
+  getOutputOptions,
+  getSegmentOutputPaths,
+  SegmentationResult,
+  SegmentOptions,
+  SegmentResult,
+} from './processor';
+import { getPartialPath, verifySegmentFile } from './outputcheck';
+import { getAudioTagOptions, isAudioFormat, supportsCoverArt } from './audio';
+
+// Extra input read after the end of the last segment, so its last frames are complete
+const READ_MARGIN = 1;
+
+/**
+ * Check whether segments can be cut while the source streams in
+ * The source is read once from start to end, so no two segments may cover
+ * the same time
+ *
+ * @param segments Segments to cut
+ * @param metadata Metadata of the source, for its duration and thumbnail
+ * @param options Segmentation options of the video
+ * @returns The segment plan, or null if the segments need a downloaded file
+ */
+export function planStreamedSegments(
+  segments: Segment[],
+  metadata: SourceMetadata,
+  options: SegmentOptions = {}
+): SegmentPlan | null {
+  if (options.cutMode === 'smart') {
+    logger.info('Smart cuts need the keyframes of a downloaded file');
+    return null;
+  }
+
+  // The output seek of a streamed cut would drop the picture input
+  const format = options.format || 'mp4';
+  if (metadata.thumbnail && isAudioFormat(format) && supportsCoverArt(format)) {
+    logger.info(`Cover art of ${format} output needs a downloaded file`);
+    return null;
+  }
+
+  let plan: SegmentPlan;
+  try {
+    plan = planSegments(
+      segments,
+      metadata.duration ?? null,
+      options.rangePolicy || config.rangePolicy
+    );
+  } catch (err) {
+    logger.info(
+      `Segments cannot be planned before the download: ${
+        err instanceof Error ? err.message : String(err)
+      }`
+    );
+    return null;
+  }
+
+  if (plan.overlaps.length > 0) {
+    logger.info('Overlapping segments need a downloaded file');
+    return null;
+  }
+
+  return plan;
+}
+
+/**
+ * Cut segments from remote streams in one pass, without downloading the source
+ * ffmpeg reads the source once and writes every segment as a timed output;
+ * reading stops after the last segment
+ *
+ * @param inputs URLs of the source (a video and an audio stream, or a single one)
+ * @param outputDir Output directory for segments
+ * @param segments Segments to cut
+ * @param plan Plan returned by `planStreamedSegments`
+ * @param options Segmentation options
+ * @returns The effective times and output path of every segment, in input order
+ */
+export async function streamSegments(
+  inputs: string[],
+  outputDir: string,
+  segments: Segment[],
+  plan: SegmentPlan,
+  options: SegmentOptions = {}
+): Promise<SegmentationResult> {
+  const format = options.format || 'mp4';
+  const quality = options.quality || 'medium';
+  const audioOnly = options.audioOnly || isAudioFormat(format);
+
+  await fs.ensureDir(outputDir);
+  const outputPaths = getSegmentOutputPaths(segments, outputDir, format);
+
+  const results: SegmentResult[] = [];
+  const pending: SegmentResult[] = [];
+
+  for (const planned of plan.segments) {
+    const outputPath = outputPaths[planned.index];
+
+    if (planned.skipped) {
+      results.push({ ...planned, path: '' });
+      continue;
+    }
+
+    // A name used twice keeps the first segment's file
+    const firstUse = outputPaths.indexOf(outputPath);
+    if (firstUse !== planned.index) {
+      logger.warn(
+        `Segment ${planned.index + 1} has the same file name as segment ${
+          firstUse + 1
+        }, keeping ${outputPath}`
+      );
+      results.push({ ...planned, path: outputPath });
+      continue;
+    }
+
+    if (await fs.pathExists(outputPath)) {
+      try {
+        await verifySegmentFile(outputPath, {
+          duration: planned.duration,
+          format,
+          audioOnly,
+        });
+        logger.info(`Segment already exists: ${outputPath}`);
+        results.push({ ...planned, path: outputPath });
+        continue;
+      } catch (err) {
+        logger.warn(
+          `Existing segment is unusable, streaming it again: ${
+            err instanceof Error ? err.message : String(err)
+          }`
+        );
+        await fs.remove(outputPath);
+      }
+    }
+
+    const result: SegmentResult = {
+      ...planned,
+      path: outputPath,
+      // A copy would start its video at the next keyframe but its audio on
+      // time, and no keyframes are known ahead of time to check the start
+      cut: {
+        method: 'encode',
+        reason: 'streamed; keyframes are unknown before the source is read',
+        start: planned.start,
+      },
+    };
+    results.push(result);
+    pending.push(result);
+  }
+
+  if (pending.length > 0) {
+    // An audio-only cut does not need the video stream
+    const sources = audioOnly && inputs.length > 1 ? inputs.slice(1) : inputs;
+    const readUntil = roundSeconds(
+      Math.max(...pending.map((segment) => segment.end)) + READ_MARGIN
+    );
+    const command = ffmpeg();
+
+    for (const source of sources) {
+      command.input(source).inputOptions([`-t ${readUntil}`]);
+    }
+
+    // One timed output per segment
+    for (const segment of pending) {
+      command
+        .output(getPartialPath(segment.path))
+        .outputOptions([
+          `-ss ${segment.start}`,
+          `-to ${segment.end}`,
+          ...getOutputOptions(format, quality, false, audioOnly, options),
+        ]);
+
+      // Audio formats get their tags; those with cover art are not streamed
+      if (isAudioFormat(format)) {
+        command.outputOptions(
+          ...getAudioTagOptions(
+            format,
+            {
+              ...options.tags,
+              title: segment.name,
+              track: segment.index + 1,
+              total: segments.length,
+            },
+            sources.length - 1
+          )
+        );
+      }
+    }
+
+    logger.info(
+      `Streaming ${pending.length} segments up to ${formatTimestamp(
+        readUntil
+      )} of the source (format: ${format})`
+    );
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        command
+          .on('start', (commandLine) => {
+            logger.debug(`FFmpeg command: ${commandLine}`);
+          })
+          .on('progress', (progress) => {
+            if (progress.timemark) {
+              logger.debug(`Streaming progress: ${progress.timemark}`);
+            }
+          })
+          .on('end', () => resolve())
+          .on('error', (err: Error) => {
+            reject(new Error(`Error streaming segments: ${err.message}`));
+          })
+          .run();
+      });
+
+      // Validate every segment before any of them replaces its output
+      for (const segment of pending) {
+        await verifySegmentFile(getPartialPath(segment.path), {
+          duration: segment.duration,
+          format,
+          audioOnly,
+        });
+      }
+    } catch (err) {
+      await Promise.all(
+        pending.map((segment) => fs.remove(getPartialPath(segment.path)))
+      );
+      throw err;
+    }
+
+    for (const segment of pending) {
+      await fs.move(getPartialPath(segment.path), segment.path, {
+        overwrite: true,
+      });
+      logger.info(`Segment completed: ${segment.name}`);
+    }
+  }
+
+  const cut = results.filter((result) => !result.skipped).length;
+  logger.info(`All segments streamed successfully. Total: ${cut}`);
+
+  // Results follow the plan, which keeps the order of the segments
+  return { ...plan, segments: results };
+}
@@ -0,0 +1,754 @@
+import fs from 'fs-extra';
+import { VideoConfig } from '../types';
+import { parseTimestamp, parseTimeValue, TimeValue } from '../utils/timestamp';
+
+/**
+ * A single problem found while validating the video configuration file
+ */
+export interface ValidationIssue {
+  /** Index of the offending entry, or null for problems with the file itself */
+  index: number | null;
+  /** Dotted path to the offending field, relative to the entry */
+  path: string;
+  message: string;
+}
+
+const VIDEO_KEYS = [
+  'id',
+  'url',
+  'title',
+  'source',
+  'segments',
+  'formatOptions',
+  'download',
+];
+const SEGMENT_KEYS = ['name', 'start', 'end', 'duration'];
+const TIMESTAMP_FORMS = 'expected HH:MM:SS.mmm, seconds or 1h2m3s';
+const INTERVAL_KEYS = ['every', 'minLast', 'name', 'overlap'];
+const SEGMENT_FILE_KEYS = ['file', 'format', 'fps'];
+const SILENCE_KEYS = [
+  'mode',
+  'noise',
+  'minSilence',
+  'minLength',
+  'maxLength',
+  'name',
+];
+const SCENE_KEYS = ['mode', 'threshold', 'minLength', 'maxSegments', 'name'];
+const SEGMENT_MODES = ['silence', 'scenes'];
+const SEGMENT_FILE_FORMATS = ['cue', 'srt', 'vtt', 'ffmetadata', 'edl'];
+const FORMAT_OPTION_KEYS = [
+  'format',
+  'quality',
+  'forceEncode',
+  'audioOnly',
+  'rangePolicy',
+  'cutMode',
+  'snapTolerance',
+  'audioBitrate',
+  'audioQuality',
+];
+const FORMATS = [
+  'mp4',
+  'mkv',
+  'webm',
+  'ts',
+  'mp3',
+  'm4a',
+  'flac',
+  'opus',
+  'wav',
+];
+const BITRATE_FORMATS = ['mp3', 'm4a', 'opus'];
+const QUALITIES = ['high', 'medium', 'low'];
+const RANGE_POLICIES = ['clamp', 'reject'];
+const CUT_MODES = ['copy', 'smart'];
+const DOWNLOAD_KEYS = [
+  'maxHeight',
+  'preferCodec',
+  'preferContainer',
+  'audioBitrateMin',
+  'itag',
+  'partial',
+];
+const DOWNLOAD_CONTAINERS = ['mp4', 'webm'];
+
+/**
+ * Options for validating a video configuration file
+ */
+export interface ValidationOptions {
+  /** Names accepted in the `source` field; any string is accepted when omitted */
+  sources?: string[];
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param value Value to check
+ * @returns True if the value is a non-null, non-array object
+ */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a non-empty string
+ * @param value Value to check
+ * @returns True if the value is a string with visible characters
+ */
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Report every key of an object that is not in the allowed list
+ * @param value Object to inspect
+ * @param allowed Allowed keys
+ * @param report Callback receiving the path and message of each problem
+ * @param prefix Path prefix for reported keys
+ */
+function checkUnknownKeys(
+  value: Record<string, unknown>,
+  allowed: string[],
+  report: (path: string, message: string) => void,
+  prefix = ''
+): void {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      report(`${prefix}${key}`, `Unknown key '${key}'`);
+    }
+  }
+}
+
+/**
+ * Validate a single segment definition
+ * @param segment Segment to validate
+ * @param prefix Path prefix of the segment (e.g. "segments[2]")
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateSegment(
+  segment: unknown,
+  prefix: string,
+  report: (path: string, message: string) => void
+): void {
+  if (!isPlainObject(segment)) {
+    report(prefix, 'Segment must be an object');
+    return;
+  }
+
+  checkUnknownKeys(segment, SEGMENT_KEYS, report, `${prefix}.`);
+
+  if (!isNonEmptyString(segment.name)) {
+    report(`${prefix}.name`, 'Segment name must be a non-empty string');
+  }
+
+  const times: Record<string, TimeValue | null> = {};
+
+  if (segment.end !== undefined && segment.duration !== undefined) {
+    report(`${prefix}.duration`, "Use either 'end' or 'duration', not both");
+  } else if (segment.end === undefined && segment.duration === undefined) {
+    report(`${prefix}.end`, "Missing required field 'end' (or 'duration')");
+  }
+
+  for (const field of ['start', 'end']) {
+    const value = segment[field];
+    times[field] = null;
+
+    if (value === undefined) {
+      if (field === 'start') {
+        report(`${prefix}.start`, "Missing required field 'start'");
+      }
+      continue;
+    }
+
+    times[field] = parseTimeValue(value);
+    if (times[field] === null) {
+      report(
+        `${prefix}.${field}`,
+        `Unparseable timestamp ${JSON.stringify(
+          value
+        )} (${TIMESTAMP_FORMS}, or -HH:MM:SS from the end)`
+      );
+    }
+  }
+
+  if (segment.duration !== undefined) {
+    const duration = parseTimestamp(segment.duration);
+    if (duration === null) {
+      report(
+        `${prefix}.duration`,
+        `Unparseable duration ${JSON.stringify(
+          segment.duration
+        )} (${TIMESTAMP_FORMS})`
+      );
+    } else if (duration === 0) {
+      report(
+        `${prefix}.duration`,
+        'Segment duration must be greater than zero'
+      );
+    }
+  }
+
+  // The order can only be checked when both times count from the same end
+  const { start, end } = times;
+  if (start && end && start.fromEnd === end.fromEnd) {
+    const ordered = start.fromEnd
+      ? end.seconds < start.seconds
+      : end.seconds > start.seconds;
+
+    if (!ordered) {
+      report(
+        `${prefix}.end`,
+        `Segment end (${segment.end}) must be after its start (${segment.start})`
+      );
+    }
+  }
+}
+
+/**
+ * Validate an interval segmentation block (`segments: { every: ... }`)
+ * @param spec Value of the segments field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateIntervalSpec(
+  spec: Record<string, unknown>,
+  report: (path: string, message: string) => void
+): void {
+  checkUnknownKeys(spec, INTERVAL_KEYS, report, 'segments.');
+
+  const times: Record<string, number | null> = {};
+
+  for (const field of ['every', 'minLast', 'overlap']) {
+    const value = spec[field];
+    times[field] = null;
+
+    if (value === undefined) {
+      if (field === 'every') {
+        report('segments.every', "Missing required field 'every'");
+      }
+      continue;
+    }
+
+    times[field] = parseTimestamp(value);
+    if (times[field] === null) {
+      report(
+        `segments.${field}`,
+        `Unparseable timestamp ${JSON.stringify(value)} (${TIMESTAMP_FORMS})`
+      );
+    }
+  }
+
+  if (times.every === 0) {
+    report('segments.every', 'Interval length must be greater than zero');
+  }
+
+  if (
+    times.every !== null &&
+    times.overlap !== null &&
+    times.overlap >= times.every
+  ) {
+    report('segments.overlap', 'overlap must be shorter than the interval');
+  }
+
+  if (spec.name !== undefined && !isNonEmptyString(spec.name)) {
+    report('segments.name', 'name must be a non-empty string');
+  }
+}
+
+/**
+ * Validate an optional timestamp field of a segments block
+ * @param spec Segments block
+ * @param field Field name
+ * @param report Callback receiving the path and message of each problem
+ * @returns The parsed value in seconds, or null if missing or invalid
+ */
+function checkOptionalTimestamp(
+  spec: Record<string, unknown>,
+  field: string,
+  report: (path: string, message: string) => void
+): number | null {
+  const value = spec[field];
+  if (value === undefined) {
+    return null;
+  }
+
+  const seconds = parseTimestamp(value);
+  if (seconds === null) {
+    report(
+      `segments.${field}`,
+      `Unparseable timestamp ${JSON.stringify(value)} (${TIMESTAMP_FORMS})`
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Validate the settings of the scene-change mode
+ * @param spec Value of the segments field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateSceneSpec(
+  spec: Record<string, unknown>,
+  report: (path: string, message: string) => void
+): void {
+  checkUnknownKeys(spec, SCENE_KEYS, report, 'segments.');
+
+  if (
+    spec.threshold !== undefined &&
+    !(
+      typeof spec.threshold === 'number' &&
+      spec.threshold > 0 &&
+      spec.threshold < 1
+    )
+  ) {
+    report('segments.threshold', 'threshold must be a number between 0 and 1');
+  }
+
+  checkOptionalTimestamp(spec, 'minLength', report);
+
+  if (
+    spec.maxSegments !== undefined &&
+    !(Number.isInteger(spec.maxSegments) && (spec.maxSegments as number) > 0)
+  ) {
+    report('segments.maxSegments', 'maxSegments must be a positive integer');
+  }
+
+  if (spec.name !== undefined && !isNonEmptyString(spec.name)) {
+    report('segments.name', 'name must be a non-empty string');
+  }
+}
+
+/**
+ * Validate an automatic segmentation block (`segments: { mode: ... }`)
+ * @param spec Value of the segments field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateSegmentMode(
+  spec: Record<string, unknown>,
+  report: (path: string, message: string) => void
+): void {
+  if (!SEGMENT_MODES.includes(spec.mode as string)) {
+    report(
+      'segments.mode',
+      `Invalid mode ${JSON.stringify(
+        spec.mode
+      )} (expected one of: ${SEGMENT_MODES.join(', ')})`
+    );
+    return;
+  }
+
+  if (spec.mode === 'scenes') {
+    validateSceneSpec(spec, report);
+    return;
+  }
+
+  checkUnknownKeys(spec, SILENCE_KEYS, report, 'segments.');
+
+  if (spec.noise !== undefined && typeof spec.noise !== 'number') {
+    report('segments.noise', 'noise must be a number of dB (e.g. -30)');
+  }
+
+  if (
+    spec.minSilence !== undefined &&
+    !(typeof spec.minSilence === 'number' && spec.minSilence > 0)
+  ) {
+    report('segments.minSilence', 'minSilence must be a positive number');
+  }
+
+  const minLength = checkOptionalTimestamp(spec, 'minLength', report);
+  const maxLength = checkOptionalTimestamp(spec, 'maxLength', report);
+
+  if (minLength !== null && maxLength !== null && maxLength < minLength) {
+    report(
+      'segments.maxLength',
+      'maxLength must not be shorter than minLength'
+    );
+  }
+
+  if (spec.name !== undefined && !isNonEmptyString(spec.name)) {
+    report('segments.name', 'name must be a non-empty string');
+  }
+}
+
+/**
+ * Validate a segment file reference (`segments: { file: ... }`)
+ * @param spec Value of the segments field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateSegmentFileSpec(
+  spec: Record<string, unknown>,
+  report: (path: string, message: string) => void
+): void {
+  checkUnknownKeys(spec, SEGMENT_FILE_KEYS, report, 'segments.');
+
+  if (!isNonEmptyString(spec.file)) {
+    report('segments.file', 'file must be a non-empty string');
+  }
+
+  if (
+    spec.format !== undefined &&
+    !SEGMENT_FILE_FORMATS.includes(spec.format as string)
+  ) {
+    report(
+      'segments.format',
+      `Invalid format ${JSON.stringify(
+        spec.format
+      )} (expected one of: ${SEGMENT_FILE_FORMATS.join(', ')})`
+    );
+  }
+
+  if (
+    spec.fps !== undefined &&
+    !(typeof spec.fps === 'number' && spec.fps > 0)
+  ) {
+    report('segments.fps', 'fps must be a positive number');
+  }
+}
+
+/**
+ * Validate the optional formatOptions block of a video entry
+ * @param formatOptions Value of the formatOptions field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateFormatOptions(
+  formatOptions: unknown,
+  report: (path: string, message: string) => void
+): void {
+  if (!isPlainObject(formatOptions)) {
+    report('formatOptions', 'formatOptions must be an object');
+    return;
+  }
+
+  checkUnknownKeys(formatOptions, FORMAT_OPTION_KEYS, report, 'formatOptions.');
+
+  const {
+    format,
+    quality,
+    forceEncode,
+    audioOnly,
+    rangePolicy,
+    cutMode,
+    snapTolerance,
+    audioBitrate,
+    audioQuality,
+  } = formatOptions;
+
+  if (format !== undefined && !FORMATS.includes(format as string)) {
+    report(
+      'formatOptions.format',
+      `Invalid format ${JSON.stringify(
+        format
+      )} (expected one of: ${FORMATS.join(', ')})`
+    );
+  }
+
+  if (quality !== undefined && !QUALITIES.includes(quality as string)) {
+    report(
+      'formatOptions.quality',
+      `Invalid quality ${JSON.stringify(
+        quality
+      )} (expected one of: ${QUALITIES.join(', ')})`
+    );
+  }
+
+  if (forceEncode !== undefined && typeof forceEncode !== 'boolean') {
+    report('formatOptions.forceEncode', 'forceEncode must be a boolean');
+  }
+
+  if (audioOnly !== undefined && typeof audioOnly !== 'boolean') {
+    report('formatOptions.audioOnly', 'audioOnly must be a boolean');
+  }
+
+  if (
+    rangePolicy !== undefined &&
+    !RANGE_POLICIES.includes(rangePolicy as string)
+  ) {
+    report(
+      'formatOptions.rangePolicy',
+      `Invalid rangePolicy ${JSON.stringify(
+        rangePolicy
+      )} (expected one of: ${RANGE_POLICIES.join(', ')})`
+    );
+  }
+
+  if (cutMode !== undefined && !CUT_MODES.includes(cutMode as string)) {
+    report(
+      'formatOptions.cutMode',
+      `Invalid cutMode ${JSON.stringify(
+        cutMode
+      )} (expected one of: ${CUT_MODES.join(', ')})`
+    );
+  }
+
+  if (
+    snapTolerance !== undefined &&
+    !(typeof snapTolerance === 'number' && snapTolerance >= 0)
+  ) {
+    report(
+      'formatOptions.snapTolerance',
+      'snapTolerance must be a non-negative number of seconds'
+    );
+  }
+
+  if (audioBitrate !== undefined) {
+    if (
+      !(
+        typeof audioBitrate === 'number' &&
+        Number.isInteger(audioBitrate) &&
+        audioBitrate > 0
+      )
+    ) {
+      report(
+        'formatOptions.audioBitrate',
+        'audioBitrate must be a positive whole number of kbps'
+      );
+    } else if (!BITRATE_FORMATS.includes(format as string)) {
+      report(
+        'formatOptions.audioBitrate',
+        `audioBitrate only applies to ${BITRATE_FORMATS.join(', ')} output`
+      );
+    }
+  }
+
+  if (audioQuality !== undefined) {
+    if (
+      !(
+        typeof audioQuality === 'number' &&
+        Number.isInteger(audioQuality) &&
+        audioQuality >= 0 &&
+        audioQuality <= 9
+      )
+    ) {
+      report(
+        'formatOptions.audioQuality',
+        'audioQuality must be a whole number from 0 (best) to 9'
+      );
+    } else if (format !== 'mp3') {
+      report(
+        'formatOptions.audioQuality',
+        'audioQuality only applies to mp3 output'
+      );
+    }
+  }
+}
+
+/**
+ * Validate the optional download block of a video entry
+ * @param download Value of the download field
+ * @param report Callback receiving the path and message of each problem
+ */
+function validateDownloadOptions(
+  download: unknown,
+  report: (path: string, message: string) => void
+): void {
+  if (!isPlainObject(download)) {
+    report('download', 'download must be an object');
+    return;
+  }
+
+  checkUnknownKeys(download, DOWNLOAD_KEYS, report, 'download.');
+
+  const {
+    maxHeight,
+    preferCodec,
+    preferContainer,
+    audioBitrateMin,
+    itag,
+    partial,
+  } = download;
+
+  for (const [field, value] of Object.entries({
+    maxHeight,
+    audioBitrateMin,
+    itag,
+  })) {
+    if (
+      value !== undefined &&
+      !(Number.isInteger(value) && (value as number) > 0)
+    ) {
+      report(`download.${field}`, `${field} must be a positive integer`);
+    }
+  }
+
+  if (
+    preferCodec !== undefined &&
+    !(
+      Array.isArray(preferCodec) &&
+      preferCodec.length > 0 &&
+      preferCodec.every(isNonEmptyString)
+    )
+  ) {
+    report(
+      'download.preferCodec',
+      'preferCodec must be a non-empty array of codec names (e.g. ["avc1", "vp9"])'
+    );
+  }
+
+  if (partial !== undefined && typeof partial !== 'boolean') {
+    report('download.partial', 'partial must be a boolean');
+  }
+
+  if (
+    preferContainer !== undefined &&
+    !DOWNLOAD_CONTAINERS.includes(preferContainer as string)
+  ) {
+    report(
+      'download.preferContainer',
+      `Invalid preferContainer ${JSON.stringify(
+        preferContainer
+      )} (expected one of: ${DOWNLOAD_CONTAINERS.join(', ')})`
+    );
+  }
+}
+
+/**
+ * Validate the contents of a video configuration file
+ * All problems are collected so they can be reported at once
+ *
+ * @param data Parsed contents of the configuration file
+ * @param options Validation options
+ * @returns List of validation issues (empty when the data is valid)
+ */
+export function validateVideoConfigs(
+  data: unknown,
+  options: ValidationOptions = {}
+): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+
+  if (!Array.isArray(data)) {
+    issues.push({
+      index: null,
+      path: '',
+      message: 'Configuration must be an array of video entries',
+    });
+    return issues;
+  }
+
+  const seenIds = new Map<string, number>();
+
+  data.forEach((video: unknown, index: number) => {
+    const report = (path: string, message: string) => {
+      issues.push({ index, path, message });
+    };
+
+    if (!isPlainObject(video)) {
+      report('', 'Video entry must be an object');
+      return;
+    }
+
+    checkUnknownKeys(video, VIDEO_KEYS, report);
+
+    if (!isNonEmptyString(video.id)) {
+      report('id', "Missing or empty required field 'id'");
+    } else if (seenIds.has(video.id)) {
+      report(
+        'id',
+        `Duplicate id '${video.id}' (already used by entry ${seenIds.get(
+          video.id
+        )})`
+      );
+    } else {
+      seenIds.set(video.id, index);
+    }
+
+    if (!isNonEmptyString(video.url)) {
+      report('url', "Missing or empty required field 'url'");
+    }
+
+    if (video.title !== undefined && typeof video.title !== 'string') {
+      report('title', 'title must be a string');
+    }
+
+    if (video.source !== undefined) {
+      if (!isNonEmptyString(video.source)) {
+        report('source', 'source must be a non-empty string');
+      } else if (options.sources && !options.sources.includes(video.source)) {
+        report(
+          'source',
+          `Unknown source '${
+            video.source
+          }' (expected one of: ${options.sources.join(', ')})`
+        );
+      }
+    }
+
+    if (video.segments === undefined) {
+      report('segments', "Missing required field 'segments'");
+    } else if (Array.isArray(video.segments)) {
+      if (video.segments.length === 0) {
+        report('segments', 'segments must not be empty (use "auto" instead)');
+      }
+      video.segments.forEach((segment: unknown, segmentIndex: number) => {
+        validateSegment(segment, `segments[${segmentIndex}]`, report);
+      });
+    } else if (isPlainObject(video.segments) && 'mode' in video.segments) {
+      validateSegmentMode(video.segments, report);
+    } else if (isPlainObject(video.segments) && 'file' in video.segments) {
+      validateSegmentFileSpec(video.segments, report);
+    } else if (isPlainObject(video.segments)) {
+      validateIntervalSpec(video.segments, report);
+    } else if (video.segments !== 'auto') {
+      report(
+        'segments',
+        'segments must be "auto", an array of segments, an interval object, a file reference or a mode object'
+      );
+    }
+
+    if (video.formatOptions !== undefined) {
+      validateFormatOptions(video.formatOptions, report);
+    }
+
+    if (video.download !== undefined) {
+      validateDownloadOptions(video.download, report);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Format a validation issue as a single human-readable line
+ * @param issue Issue to format
+ * @returns Formatted issue, e.g. "videos[2].segments[0].end: ..."
+ */
+export function formatValidationIssue(issue: ValidationIssue): string {
+  if (issue.index === null) {
+    return issue.message;
+  }
+
+  const location = issue.path
+    ? `videos[${issue.index}].${issue.path}`
+    : `videos[${issue.index}]`;
+
+  return `${location}: ${issue.message}`;
+}
+
+/**
+ * Read and validate a video configuration file
+ * @param filePath Path to the JSON configuration file
+ * @param options Validation options
+ * @returns The validated video configurations
+ * @throws Error listing every validation issue when the file is invalid
+ */
+export async function loadVideoConfigs(
+  filePath: string,
+  options: ValidationOptions = {}
+): Promise<VideoConfig[]> {
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`Data file not found: ${filePath}`);
+  }
+
+  const data = await fs.readJSON(filePath);
+  const issues = validateVideoConfigs(data, options);
+
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid video configuration in ${filePath} (${
+        issues.length
+      } problem(s)):\n${issues
+        .map((issue) => `  - ${formatValidationIssue(issue)}`)
+        .join('\n')}`
+    );
+  }
+
+  return data as VideoConfig[];
+}
@@ -1,10 +1,122 @@
 /**
  * Represents a single segment of a video
+ * Times accept HH:MM:SS.mmm, plain seconds or unit forms (1h2m3s); start and
+ * end may count back from the end of the video with a leading "-"
  */
 export interface Segment {
   name: string;
   start: string;
-  end: string;
+  /** End of the segment; either end or duration must be set */
+  end?: string;
+  /** Length of the segment, used instead of end */
+  duration?: string;
+}
+
+/**
+ * Split a video into fixed-length pieces
+ */
+export interface IntervalSegments {
+  /** Length of each piece (e.g. "00:05:00") */
+  every: string;
+  /** Minimum length of the last piece; a shorter remainder is merged into the previous piece */
+  minLast?: string;
+  /** Name template; supports {n}, {total}, {start} and {end} */
+  name?: string;
+  /** Amount of time each piece overlaps the previous one */
+  overlap?: string;
+}
+
+/**
+ * Cut a video at pauses detected in its audio
+ */
+export interface SilenceSegments {
+  mode: 'silence';
+  /** Noise floor in dB below which audio counts as silence (default: -30) */
+  noise?: number;
+  /** Minimum pause length in seconds (default: 1) */
+  minSilence?: number;
+  /** Minimum segment length; shorter pieces are merged */
+  minLength?: string;
+  /** Maximum segment length; longer pieces are split evenly */
+  maxLength?: string;
+  /** Name template; supports {n}, {total}, {start} and {end} */
+  name?: string;
+}
+
+/**
+ * Cut a video at scene changes detected in its picture
+ */
+export interface SceneSegments {
+  mode: 'scenes';
+  /** Minimum ffmpeg scene score (0-1) for a cut (default: 0.3) */
+  threshold?: number;
+  /** Minimum segment length */
+  minLength?: string;
+  /** Maximum number of segments; the strongest scene changes are kept */
+  maxSegments?: number;
+  /** Name template; supports {n}, {total}, {start} and {end} */
+  name?: string;
+}
+
+/**
+ * Formats of cut list files that segments can be loaded from
+ */
+export type SegmentFileFormat = 'cue' | 'srt' | 'vtt' | 'ffmetadata' | 'edl';
+
+/**
+ * Load the segment list from a cut list file
+ */
+export interface SegmentFileReference {
+  /** Path of the file, relative to the working directory */
+  file: string;
+  /** File format; detected from the extension or contents when omitted */
+  format?: SegmentFileFormat;
+  /** Frame rate of EDL timecodes (default: 30) */
+  fps?: number;
+}
+
+/**
+ * How a video is split into segments
+ */
+export type SegmentSpec =
+  | Segment[]
+  | 'auto'
+  | IntervalSegments
+  | SegmentFileReference
+  | SilenceSegments
+  | SceneSegments;
+
+/**
+ * What to do with segments reaching past the end of the media
+ * - clamp: cut them at the end of the media and skip those starting after it
+ * - reject: fail the video
+ */
+export type RangePolicy = 'clamp' | 'reject';
+
+/**
+ * How segments are cut when they are not forced to be re-encoded
+ * - copy: stream copy, falling back to encoding when the copy fails
+ * - smart: re-encode up to the first keyframe and stream-copy the rest
+ */
+export type CutMode = 'copy' | 'smart';
+
+/**
+ * Constraints on what is downloaded from the source
+ * The format constraints only apply to YouTube
+ */
+export interface DownloadOptions {
+  /** Largest video height in pixels (e.g. 720) */
+  maxHeight?: number;
+  /** Codecs in order of preference, matched against the start of the codec string (e.g. ["avc1", "vp9", "av01"]) */
+  preferCodec?: string[];
+  /** Container preferred when several formats qualify */
+  preferContainer?: 'mp4' | 'webm';
+  /** Lowest accepted audio bitrate in kbps */
+  audioBitrateMin?: number;
+  /** Download exactly this YouTube format, ignoring the other constraints for it */
+  itag?: number;
+  /** Download only the time ranges the segments need, when the source supports it */
+  partial?: boolean;
 }
 
 /**
@@ -14,13 +126,183 @@ export interface VideoConfig {
   id: string;
   url: string;
   title?: string;
-  segments: Segment[] | 'auto';
+  /** Name of the source provider to use instead of detecting it from the URL */
+  source?: string;
+  segments: SegmentSpec;
   formatOptions?: {
-    format?: 'mp4' | 'mkv' | 'webm' | 'ts';
+    /** Video container, or an audio format written without video */
+    format?:
+      | 'mp4'
+      | 'mkv'
+      | 'webm'
+      | 'ts'
+      | 'mp3'
+      | 'm4a'
+      | 'flac'
+      | 'opus'
+      | 'wav';
     quality?: 'high' | 'medium' | 'low';
     forceEncode?: boolean;
     audioOnly?: boolean;
+    /** Overrides the global segment range policy for this video */
+    rangePolicy?: RangePolicy;
+    cutMode?: CutMode;
+    /** Overrides the global keyframe snap tolerance (seconds) for this video */
+    snapTolerance?: number;
+    /** Bitrate in kbps of mp3, m4a and opus output, instead of the one of the quality */
+    audioBitrate?: number;
+    /** LAME VBR quality of mp3 output, from 0 (best) to 9 (smallest) */
+    audioQuality?: number;
   };
+  /** Overrides the global download constraints for this video */
+  download?: DownloadOptions;
+}
+
+/**
+ * Metadata resolved by a source provider
+ */
+export interface SourceMetadata {
+  id: string;
+  title: string;
+  /** Duration in seconds, when the source reports one */
+  duration?: number;
+  /** Where the media comes from when it is not the URL itself (e.g. a local path) */
+  origin?: string;
+  /** Channel or author of the media, when the source reports one */
+  author?: string;
+  /** URL of a picture of the media, used as cover art of audio output */
+  thumbnail?: string;
+}
+
+/**
+ * A format downloaded from the source, as recorded in summary.json
+ */
+export interface MediaFormat {
+  itag: number;
+  container: string;
+  codecs: string;
+  /** e.g. "1080p60"; absent for audio-only formats */
+  qualityLabel?: string;
+  height?: number;
+  fps?: number;
+  /** Bitrate in bits per second */
+  bitrate?: number;
+  /** Audio bitrate in kbps */
+  audioBitrate?: number;
+}
+
+/**
+ * A time range of the source media in seconds
+ */
+export interface MediaRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * A range of the source media held by a partial download
+ */
+export interface PartialRange extends MediaRange {
+  /** Position of the start of the range in the downloaded file, in seconds */
+  offset: number;
+}
+
+/**
+ * Media fetched by a source provider
+ */
+export interface FetchedMedia {
+  /** Local path of the media file ready for segmentation */
+  path: string;
+  /** Formats the media was made from, when the source offers a choice */
+  formats?: {
+    video: MediaFormat;
+    /** Audio stream muxed with a video-only format */
+    audio?: MediaFormat;
+  };
+  /** Ranges of the source held by the file, when only parts of it were downloaded */
+  ranges?: PartialRange[];
+}
+
+/**
+ * Where the chapters of a video were found
+ */
+export type ChapterSource = 'chapters' | 'description' | 'none';
+
+/**
+ * Chapters listed by a source provider
+ */
+export interface ChapterList {
+  segments: Segment[];
+  source: ChapterSource;
+}
+
+/**
+ * A source of media that can be segmented (YouTube, local files, ...)
+ */
+export interface SourceProvider {
+  /** Unique name, usable in the `source` field of a video entry */
+  name: string;
+  /** URL schemes handled by this provider, without the trailing colon */
+  schemes: string[];
+  /** Optional finer check for URLs whose scheme is shared with other providers */
+  matches?(url: string): boolean;
+  /** True when the media is used where it is, so it is never cached or deleted */
+  inPlace?: boolean;
+  /** Resolve the metadata of the media behind a URL */
+  resolveMetadata(url: string): Promise<SourceMetadata>;
+  /** List the chapters of the media as segments, with where they were found */
+  listChapters(url: string): Promise<ChapterList>;
+  /**
+   * Fetch the media into the given directory, within the download constraints
+   * if the source supports them, and only the given ranges if it can
+   */
+  fetchMedia(
+    url: string,
+    outputDir: string,
+    options?: DownloadOptions,
+    ranges?: MediaRange[]
+  ): Promise<FetchedMedia>;
+  /**
+   * List URLs ffmpeg can read the media from as it streams, within the
+   * download constraints, so segments can be cut without a download
+   */
+  getStreamInputs?(url: string, options?: DownloadOptions): Promise<string[]>;
+}
+
+/**
+ * Stages of processing a video, each with its own retry policy
+ * - info: resolving the metadata of the video
+ * - download: fetching the media
+ * - encode: cutting the segments
+ */
+export type RetryStage = 'info' | 'download' | 'encode';
+
+/**
+ * How often and how fast a failed stage is tried again
+ */
+export interface RetryPolicy {
+  /** Maximum number of attempts, including the first one */
+  attempts: number;
+  /** Delay before the first retry in milliseconds, doubled for every further retry */
+  baseDelay: number;
+  /** Upper bound of the delay in milliseconds */
+  maxDelay: number;
+}
+
+/**
+ * A failed attempt at a stage, as recorded in progress.json
+ */
+export interface RetryAttempt {
+  stage: RetryStage;
+  /** Number of the attempt, starting at 1 */
+  attempt: number;
+  error: string;
+  /** Whether the error was considered transient */
+  retryable: boolean;
+  /** Delay before the next attempt in milliseconds; absent when giving up */
+  delay?: number;
+  /** ISO timestamp of the failure */
+  at: string;
 }
 
 /**
@@ -29,15 +311,40 @@ export interface VideoConfig {
 export interface ProgressTracker {
   completed: string[];
   failed: { id: string; error: string }[];
+  /** Failed attempts of the last processing of each video, by video ID */
+  retries?: Record<string, RetryAttempt[]>;
 }
 
 /**
  * Application configuration
  */
 export interface AppConfig {
+  /** Number of videos downloaded in parallel */
   concurrency: number;
+  /** Number of videos segmented in parallel */
+  encodeConcurrency: number;
+  /** Number of segments of one video cut in parallel */
+  segmentConcurrency: number;
   outputDir: string;
   tempDir: string;
   logLevel: string;
   devMode: boolean;
+  /** Default policy for segments reaching past the end of the media */
+  rangePolicy: RangePolicy;
+  /** Largest distance in seconds a segment start may be moved to reach a keyframe */
+  snapTolerance: number;
+  /** Largest total size of the download cache in megabytes; 0 means unlimited */
+  cacheMaxSize: number;
+  /** Delete the downloaded media of a video once all its segments are cut */
+  deleteTempFiles: boolean;
+  /** Run from cached video info and media only, without network access */
+  offline: boolean;
+  /** Retry policy of each stage */
+  retry: Record<RetryStage, RetryPolicy>;
+  /** Default download constraints, overridden per video */
+  download: DownloadOptions;
+  /** Time in seconds kept before and after each segment in partial downloads */
+  partialPadding: number;
+  /** Cut segment lists while the source streams in, instead of downloading it first */
+  streamSegments: boolean;
 }
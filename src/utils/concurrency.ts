@@ -0,0 +1,86 @@
+/**
+ * Helpers for running asynchronous jobs with a bounded level of parallelism
+ */
+
+/**
+ * A function that runs a task once a slot is free
+ */
+export type Limiter = <T>(task: () => Promise<T>) => Promise<T>;
+
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time
+ * Tasks start in the order they were submitted
+ *
+ * @param limit Maximum number of tasks running at once (at least 1)
+ * @returns Function running a task as soon as a slot is free
+ */
+export function createLimiter(limit: number): Limiter {
+  const maxActive = Math.max(1, Math.floor(limit) || 1);
+  const waiting: (() => void)[] = [];
+  let active = 0;
+
+  const release = () => {
+    active--;
+    const next = waiting.shift();
+    if (next) {
+      next();
+    }
+  };
+
+  return <T>(task: () => Promise<T>): Promise<T> =>
+    new Promise<T>((resolve, reject) => {
+      const start = () => {
+        active++;
+        task().then(resolve, reject).finally(release);
+      };
+
+      if (active < maxActive) {
+        start();
+      } else {
+        waiting.push(start);
+      }
+    });
+}
+
+/**
+ * Run a job for every item with at most `limit` jobs at a time
+ * Results keep the order of the items, whatever order the jobs finish in.
+ * After the first failure no new jobs are started; the jobs already running
+ * are awaited and the first error is rethrown
+ *
+ * @param items Items to process
+ * @param limit Maximum number of jobs running at once
+ * @param job Job run for each item
+ * @returns Results in item order
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  job: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const runLimited = createLimiter(limit);
+  const results: R[] = new Array(items.length);
+  const errors: unknown[] = [];
+
+  await Promise.all(
+    items.map((item, index) =>
+      runLimited(async () => {
+        if (errors.length > 0) {
+          return;
+        }
+
+        try {
+          results[index] = await job(item, index);
+        } catch (error) {
+          errors.push(error);
+        }
+      })
+    )
+  );
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  return results;
+}
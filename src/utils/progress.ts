@@ -1,10 +1,14 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { ProgressTracker } from '../types';
+import { ProgressTracker, RetryAttempt } from '../types';
 import logger from '../services/logger';
+import { createLimiter } from './concurrency';
 
 const PROGRESS_FILE = path.resolve(process.cwd(), 'progress.json');
 
+// Videos are processed in parallel, so write the file one save at a time
+const saveLock = createLimiter(1);
+
 /**
  * Initialize progress tracker
  * @returns Progress tracker object
@@ -50,7 +54,7 @@ export async function initProgressTracker(): Promise<ProgressTracker> {
  */
 export async function saveProgress(progress: ProgressTracker): Promise<void> {
   try {
-    await fs.writeJSON(PROGRESS_FILE, progress, { spaces: 2 });
+    await saveLock(() => fs.writeJSON(PROGRESS_FILE, progress, { spaces: 2 }));
     logger.debug('Progress saved to file');
   } catch (error: unknown) {
     const errorMessage = error instanceof Error ? error.message : String(error);
@@ -111,3 +115,43 @@ export async function markVideoFailed(
 
   return progress;
 }
+
+/**
+ * Record a failed attempt at a stage of a video
+ * @param progress Progress tracker
+ * @param videoId ID of the video
+ * @param attempt The failed attempt
+ * @returns Updated progress tracker
+ */
+export async function recordRetryAttempt(
+  progress: ProgressTracker,
+  videoId: string,
+  attempt: RetryAttempt
+): Promise<ProgressTracker> {
+  progress.retries = progress.retries || {};
+  progress.retries[videoId] = [...(progress.retries[videoId] || []), attempt];
+
+  await saveProgress(progress);
+
+  return progress;
+}
+
+/**
+ * Forget the failed attempts of a video before it is processed again
+ * @param progress Progress tracker
+ * @param videoId ID of the video
+ * @returns Updated progress tracker
+ */
+export async function clearRetryHistory(
+  progress: ProgressTracker,
+  videoId: string
+): Promise<ProgressTracker> {
+  if (!progress.retries || !progress.retries[videoId]) {
+    return progress;
+  }
+
+  delete progress.retries[videoId];
+  await saveProgress(progress);
+
+  return progress;
+}
@@ -0,0 +1,135 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  formatTimestamp,
+  parseTimestamp,
+  parseTimeValue,
+  resolveSegmentTimes,
+  timestampToSeconds,
+} from './timestamp';
+
+describe('parseTimeValue', () => {
+  it.each([
+    ['01:02:03', 3723],
+    ['01:02:03.250', 3723.25],
+    ['02:30', 150],
+    ['90', 90],
+    ['12.5', 12.5],
+    ['1h2m3s', 3723],
+    ['2m30.5s', 150.5],
+    ['45s', 45],
+    ['250ms', 0.25],
+    ['1m 500ms', 60.5],
+    ['  00:10  ', 10],
+  ])('parses %j as %d seconds', (text, seconds) => {
+    expect(parseTimeValue(text)).toEqual({ seconds, fromEnd: false });
+  });
+
+  it('reads a leading "-" as counting back from the end', () => {
+    expect(parseTimeValue('-00:30')).toEqual({ seconds: 30, fromEnd: true });
+    expect(parseTimeValue('- 1m')).toEqual({ seconds: 60, fromEnd: true });
+    expect(parseTimeValue(-2.5)).toEqual({ seconds: 2.5, fromEnd: true });
+  });
+
+  it('accepts finite numbers and rounds them to milliseconds', () => {
+    expect(parseTimeValue(12.3456)).toEqual({
+      seconds: 12.346,
+      fromEnd: false,
+    });
+    expect(parseTimeValue(Infinity)).toBeNull();
+  });
+
+  it.each(['', 'abc', '1:60', '1:02:60', '1:2:3:4', 'm', '1x', '5ms2s'])(
+    'rejects %j',
+    (text) => {
+      expect(parseTimeValue(text)).toBeNull();
+    }
+  );
+
+  it('rejects values that are neither strings nor numbers', () => {
+    expect(parseTimeValue(undefined)).toBeNull();
+    expect(parseTimeValue({})).toBeNull();
+  });
+});
+
+describe('parseTimestamp / timestampToSeconds', () => {
+  it('parse absolute timestamps only', () => {
+    expect(parseTimestamp('1:30')).toBe(90);
+    expect(parseTimestamp('-1:30')).toBeNull();
+  });
+
+  it('throws on invalid timestamps', () => {
+    expect(timestampToSeconds('1m30s')).toBe(90);
+    expect(() => timestampToSeconds('soon')).toThrow('Invalid timestamp: soon');
+  });
+});
+
+describe('formatTimestamp', () => {
+  it('formats whole seconds as HH:MM:SS', () => {
+    expect(formatTimestamp(0)).toBe('00:00:00');
+    expect(formatTimestamp(3723)).toBe('01:02:03');
+    expect(formatTimestamp(360000)).toBe('100:00:00');
+  });
+
+  it('adds milliseconds only when there is a fraction', () => {
+    expect(formatTimestamp(1.5)).toBe('00:00:01.500');
+    expect(formatTimestamp(59.9999)).toBe('00:01:00');
+    expect(formatTimestamp(0.001)).toBe('00:00:00.001');
+  });
+
+  it('clamps negative values to zero', () => {
+    expect(formatTimestamp(-5)).toBe('00:00:00');
+  });
+});
+
+describe('resolveSegmentTimes', () => {
+  it('resolves start and end', () => {
+    expect(
+      resolveSegmentTimes({ name: 'a', start: '1:00', end: '1:30.5' }, 0)
+    ).toEqual({ start: 60, end: 90.5, duration: 30.5 });
+  });
+
+  it('derives the end from a duration', () => {
+    expect(
+      resolveSegmentTimes({ name: 'a', start: '10', duration: '1m' }, 0)
+    ).toEqual({ start: 10, end: 70, duration: 60 });
+  });
+
+  it('resolves end-relative times against the media duration', () => {
+    expect(
+      resolveSegmentTimes({ name: 'a', start: '-30', end: '-0' }, 0, 100)
+    ).toEqual({ start: 70, end: 100, duration: 30 });
+  });
+
+  it('needs the media duration for end-relative times', () => {
+    expect(() =>
+      resolveSegmentTimes({ name: 'a', start: '-30', end: '-10' }, 1)
+    ).toThrow(/Segment 2 \("a"\): start "-30" is relative to the end/);
+  });
+
+  it('rejects end-relative times before the start of the media', () => {
+    expect(() =>
+      resolveSegmentTimes({ name: 'a', start: '-2m', end: '-0' }, 0, 60)
+    ).toThrow(/lies before the start/);
+  });
+
+  it('rejects invalid or missing ends and inverted ranges', () => {
+    expect(() =>
+      resolveSegmentTimes({ name: 'a', start: 'x', end: '1' }, 0)
+    ).toThrow(/invalid start timestamp "x"/);
+    expect(() =>
+      resolveSegmentTimes({ name: 'a', start: '1', duration: '-5' }, 0)
+    ).toThrow(/invalid duration "-5"/);
+    expect(() => resolveSegmentTimes({ name: 'a', start: '1' }, 0)).toThrow(
+      /needs either an end or a duration/
+    );
+    expect(() =>
+      resolveSegmentTimes({ name: 'a', start: '10', end: '10' }, 0)
+    ).toThrow(/end \(00:00:10\) must be after start \(00:00:10\)/);
+  });
+
+  it('labels unnamed segments by position', () => {
+    expect(() =>
+      resolveSegmentTimes({ name: '', start: '5', end: '1' }, 2)
+    ).toThrow(/^Segment 3 \("segment_3"\)/);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Timestamp parsing and formatting utilities shared across services
+ */
+
+import { Segment } from '../types';
+
+// [HH:][MM:]SS with an optional fraction on the last field ("01:02:03.250", "90.5")
+const CLOCK_PATTERN = /^\d+(:\d{1,2}){0,2}(\.\d+)?$/;
+
+// Unit form such as "1h2m3s", "2m30.5s", "45s" or "500ms"
+const UNIT_PATTERN =
+  /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/i;
+
+/**
+ * A parsed time value
+ */
+export interface TimeValue {
+  /** Number of seconds (always positive) */
+  seconds: number;
+  /** True when the value counts back from the end of the media ("-00:30") */
+  fromEnd: boolean;
+}
+
+/**
+ * Start, end and duration of a segment in seconds
+ */
+export interface SegmentTimes {
+  start: number;
+  end: number;
+  duration: number;
+}
+
+/**
+ * Round a number of seconds to millisecond precision
+ * Avoids floating point noise such as 12.299999999 ending up in ffmpeg arguments
+ *
+ * @param seconds Number of seconds
+ * @returns The rounded value
+ */
+export function roundSeconds(seconds: number): number {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Parse an unsigned clock (HH:MM:SS.mmm, MM:SS, SS) or unit (1h2m3s) value
+ * @param text Trimmed value without sign
+ * @returns Number of seconds, or null if the value cannot be parsed
+ */
+function parseUnsigned(text: string): number | null {
+  if (CLOCK_PATTERN.test(text)) {
+    const parts = text.split(':').map(Number);
+
+    // Minutes and seconds must stay below 60 once an hour/minute field is present
+    if (parts.slice(1).some((part) => part >= 60)) {
+      return null;
+    }
+
+    return roundSeconds(parts.reduce((total, part) => total * 60 + part, 0));
+  }
+
+  const match = text.replace(/\s+/g, '').match(UNIT_PATTERN);
+  if (!match || match.slice(1).every((part) => part === undefined)) {
+    return null;
+  }
+
+  const [hours, minutes, seconds, milliseconds] = match
+    .slice(1)
+    .map((part) => (part === undefined ? 0 : Number(part)));
+
+  return roundSeconds(
+    hours * 3600 + minutes * 60 + seconds + milliseconds / 1000
+  );
+}
+
+/**
+ * Parse a time value, including end-relative values
+ * Accepts HH:MM:SS(.mmm), MM:SS(.mmm), plain seconds ("90", "12.5"),
+ * unit forms ("1h2m3s", "1m30.5s", "250ms") and a leading "-" to count back
+ * from the end of the media ("-00:30")
+ *
+ * @param value The value to parse
+ * @returns The parsed value, or null if it cannot be parsed
+ */
+export function parseTimeValue(value: unknown): TimeValue | null {
+  if (typeof value === 'number') {
+    return Number.isFinite(value)
+      ? { seconds: roundSeconds(Math.abs(value)), fromEnd: value < 0 }
+      : null;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const fromEnd = trimmed.startsWith('-');
+  const seconds = parseUnsigned(fromEnd ? trimmed.slice(1).trim() : trimmed);
+
+  return seconds === null ? null : { seconds, fromEnd };
+}
+
+/**
+ * Parse an absolute timestamp into seconds
+ * Accepts every form of parseTimeValue except end-relative values
+ *
+ * @param timestamp The timestamp to parse
+ * @returns Number of seconds, or null if the timestamp cannot be parsed
+ */
+export function parseTimestamp(timestamp: unknown): number | null {
+  const value = parseTimeValue(timestamp);
+  return value && !value.fromEnd ? value.seconds : null;
+}
+
+/**
+ * Convert a timestamp string to seconds
+ * @param timestamp Absolute timestamp (e.g. "00:01:30.5", "90", "1m30s")
+ * @returns Number of seconds
+ */
+export function timestampToSeconds(timestamp: string): number {
+  const seconds = parseTimestamp(timestamp);
+
+  if (seconds === null) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+
+  return seconds;
+}
+
+/**
+ * Format seconds as HH:MM:SS, adding milliseconds (HH:MM:SS.mmm) when the
+ * value has a fractional part
+ *
+ * @param seconds Number of seconds
+ * @returns Formatted timestamp
+ */
+export function formatTimestamp(seconds: number): string {
+  const totalMilliseconds = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(totalMilliseconds / 3600000);
+  const minutes = Math.floor((totalMilliseconds % 3600000) / 60000);
+  const secs = Math.floor((totalMilliseconds % 60000) / 1000);
+  const milliseconds = totalMilliseconds % 1000;
+
+  const clock = `${hours.toString().padStart(2, '0')}:${minutes
+    .toString()
+    .padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+
+  return milliseconds > 0
+    ? `${clock}.${milliseconds.toString().padStart(3, '0')}`
+    : clock;
+}
+
+/**
+ * Resolve the start, end and duration of a segment in seconds
+ * The end is taken from `end`, or from `start + duration` when the segment
+ * has a duration instead
+ *
+ * @param segment Segment to resolve
+ * @param index Position of the segment, used in error messages
+ * @param mediaDuration Duration of the media; required for end-relative values
+ * @returns The resolved times
+ */
+export function resolveSegmentTimes(
+  segment: Segment,
+  index: number,
+  mediaDuration?: number
+): SegmentTimes {
+  const label = `Segment ${index + 1} (${JSON.stringify(
+    segment.name || `segment_${index + 1}`
+  )})`;
+
+  const resolve = (field: 'start' | 'end'): number => {
+    const raw = segment[field];
+    const value = parseTimeValue(raw);
+
+    if (value === null) {
+      throw new Error(
+        `${label}: invalid ${field} timestamp ${JSON.stringify(raw)}`
+      );
+    }
+
+    if (!value.fromEnd) {
+      return value.seconds;
+    }
+
+    if (mediaDuration === undefined) {
+      throw new Error(
+        `${label}: ${field} ${JSON.stringify(
+          raw
+        )} is relative to the end of the video, but its duration is unknown`
+      );
+    }
+
+    const seconds = roundSeconds(mediaDuration - value.seconds);
+    if (seconds < 0) {
+      throw new Error(
+        `${label}: ${field} ${JSON.stringify(
+          raw
+        )} lies before the start of the video`
+      );
+    }
+    return seconds;
+  };
+
+  const start = resolve('start');
+  let end: number;
+
+  if (segment.end !== undefined) {
+    end = resolve('end');
+  } else if (segment.duration !== undefined) {
+    const duration = parseTimestamp(segment.duration);
+    if (duration === null) {
+      throw new Error(
+        `${label}: invalid duration ${JSON.stringify(segment.duration)}`
+      );
+    }
+    end = roundSeconds(start + duration);
+  } else {
+    throw new Error(`${label}: needs either an end or a duration`);
+  }
+
+  if (end <= start) {
+    throw new Error(
+      `${label}: end (${formatTimestamp(
+        end
+      )}) must be after start (${formatTimestamp(start)})`
+    );
+  }
+
+  return { start, end, duration: roundSeconds(end - start) };
+}